@@ -1,103 +1,427 @@
 const path = require('path');
-const crypto = require('crypto');
 const { execSync } = require('child_process');
 
 const ConfigManager = require('./config/ConfigManager');
 const CleanupManager = require('./cleanup/CleanupManager');
 const BuildDetector = require('./build/BuildDetector');
 const BuildConfigurer = require('./build/BuildConfigurer');
+const BuildCache = require('./build/BuildCache');
 const GitDeployer = require('./deploy/GitDeployer');
 const PagesDeployer = require('./deploy/PagesDeployer');
+const PagesVerifier = require('./deploy/PagesVerifier');
+const DeploymentLister = require('./list/DeploymentLister');
+const PreviewServer = require('./serve/PreviewServer');
 
 const GitHubUtil = require('./utils/github');
 const FileUtil = require('./utils/file');
 const PromptUtil = require('./utils/prompt');
+const ArgsUtil = require('./utils/args');
+const WorkspaceUtil = require('./utils/workspace');
+const PackageManagerUtil = require('./utils/packageManager');
+const BranchNameUtil = require('./utils/branchName');
+const GitUtil = require('./utils/git');
 const Logger = require('./utils/logger');
 
 class GitHubPagesDeployer {
   constructor() {
-    this.cwd = process.cwd();
     this.debugMode = process.argv.includes('--debug') || process.argv.includes('-d');
     this.logger = new Logger(this.debugMode);
-    this.packageJson = FileUtil.loadPackageJson(this.cwd);
-    this.buildDetector = new BuildDetector(this.cwd, this.packageJson, this.debugMode);
-    this.buildConfig = this.buildDetector.detectBuildConfig();
-    this.configManager = new ConfigManager();
+    this.prebuiltDir = ArgsUtil.getFlagValue('--dir') || process.env.GHPD_DIR || null;
+    this.workspaceRoot = WorkspaceUtil.findWorkspaceRoot(process.cwd());
+    this.hostname = null;
+    
+    // In a monorepo, --package selects the workspace package to deploy
+    const packageSelector = ArgsUtil.getFlagValue('--package') || process.env.GHPD_PACKAGE;
+    this.loadProject(packageSelector ? this.resolveWorkspacePackage(packageSelector) : process.cwd());
+  }
+
+  loadProject(cwd) {
+    this.cwd = cwd;
+    
+    // A pnpm workspace root doesn't need a package.json of its own, and neither does a prebuilt --dir
+    // deployment (the project name then comes from --project or the directory name)
+    const hasPackageJson = require('fs').existsSync(path.join(cwd, 'package.json'));
+    const optionalPackageJson = this.isAtWorkspaceRoot() || Boolean(this.prebuiltDir);
+    this.packageJson = optionalPackageJson && !hasPackageJson ? {} : FileUtil.loadPackageJson(this.cwd);
+    this.configManager = new ConfigManager(this.cwd);
+    
+    if (this.prebuiltDir) {
+      // Deploy an existing directory as-is: no detection, no base path configuration, no build
+      this.buildConfig = { framework: 'generic', buildCommand: null, outputDir: this.prebuiltDir, prebuilt: true };
+    } else {
+      this.packageManager = PackageManagerUtil.detect(this.cwd, this.workspaceRoot,
+        ArgsUtil.getFlagValue('--package-manager') || process.env.GHPD_PACKAGE_MANAGER || this.configManager.getProjectSetting('packageManager'));
+      this.logger.debug(`📦 Using ${this.packageManager.name} (${this.packageManager.source})`);
+      this.buildDetector = new BuildDetector(this.cwd, this.packageJson, this.debugMode, { packageManager: this.packageManager });
+      this.buildConfig = this.buildDetector.detectBuildConfig({
+        framework: this.configManager.getProjectSetting('framework'),
+        buildCommand: this.configManager.getProjectSetting('buildCommand'),
+        outputDir: this.configManager.getProjectSetting('outputDir'),
+        storybook: ArgsUtil.getBooleanFlag('--storybook') ?? ArgsUtil.parseBoolean(process.env.GHPD_STORYBOOK)
+      });
+    }
+    this.outputPath = null;
+    this.source = GitUtil.getSourceInfo(this.cwd);
     this.branchName = this.generateBranchName();
-    this.enterpriseHostname = null;
   }
 
-  generateBranchName() {
+  isAtWorkspaceRoot() {
+    return Boolean(this.workspaceRoot) && path.resolve(this.cwd) === this.workspaceRoot;
+  }
+
+  resolveWorkspacePackage(selector) {
+    if (!this.workspaceRoot) {
+      throw new Error(`--package ${selector} was given, but no workspace root (package.json "workspaces" or pnpm-workspace.yaml) was found`);
+    }
+    
+    const workspacePackage = WorkspaceUtil.findPackage(this.workspaceRoot, selector);
+    if (!workspacePackage) {
+      const available = WorkspaceUtil.listPackages(this.workspaceRoot).map(pkg => pkg.dir).join(', ');
+      throw new Error(`Workspace package '${selector}' not found. Available packages: ${available || 'none'}`);
+    }
+    
+    this.logger.debug(`📦 Using workspace package ${workspacePackage.name} (${workspacePackage.dir})`);
+    return path.join(this.workspaceRoot, workspacePackage.dir);
+  }
+
+  async selectWorkspacePackage() {
+    const packages = WorkspaceUtil.listPackages(this.workspaceRoot).filter(pkg => pkg.hasBuildScript);
+    if (packages.length === 0) {
+      return;
+    }
+    
+    const rootHasBuild = Boolean(this.packageJson.scripts?.build);
+    let selector = packages.length === 1 && !rootHasBuild ? packages[0].dir : null;
+    
+    if (!selector) {
+      const choices = packages.map((pkg, index) => `   ${index + 1}. ${pkg.dir} (${pkg.name})`).join('\n');
+      const answer = await PromptUtil.resolveInput({
+        label: `Workspace package (one of: ${packages.map(pkg => pkg.dir).join(', ')})`,
+        question: `📦 Workspace packages with a build script:\n${choices}\nPackage to deploy (number, path or name${rootHasBuild ? ', default: workspace root' : ''}): `,
+        flag: '--package',
+        envVar: 'GHPD_PACKAGE'
+      });
+      
+      // Nothing chosen: deploy the root itself if it builds, otherwise report the missing input
+      if (!answer) {
+        if (!rootHasBuild) {
+          PromptUtil.assertNoMissingInputs();
+          throw new Error('No workspace package selected. Pass --package <path>');
+        }
+        return;
+      }
+      
+      const index = parseInt(answer, 10);
+      selector = String(index) === answer && packages[index - 1] ? packages[index - 1].dir : answer;
+    }
+    
+    this.loadProject(this.resolveWorkspacePackage(selector));
+    this.logger.info(`📦 Deploying workspace package: ${path.relative(this.workspaceRoot, this.cwd)}`);
+  }
+
+  getCleanProjectName() {
     // Use stored project name, fallback to package.json name or directory name
     const baseName = this.configManager.getProjectName(this.cwd) || this.packageJson.name || path.basename(this.cwd) || 'project';
-    const timestamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
-    const randomId = crypto.randomBytes(3).toString('hex');
+    return BranchNameUtil.cleanProjectName(baseName);
+  }
+
+  getBranchTemplate() {
+    return ArgsUtil.getFlagValue('--branch-template') || process.env.GHPD_BRANCH_TEMPLATE ||
+      this.configManager.getProjectSetting('branchTemplate') || this.configManager.config?.branchTemplate || BranchNameUtil.DEFAULT_TEMPLATE;
+  }
+
+  generateBranchName() {
+    const context = BranchNameUtil.createContext({
+      project: this.getCleanProjectName(),
+      user: this.configManager.config?.username,
+      source: this.source
+    });
+    return BranchNameUtil.render(this.getBranchTemplate(), context);
+  }
+
+  isSubdirectoryMode() {
+    const override = ArgsUtil.getBooleanFlag('--subdirectory') ?? ArgsUtil.parseBoolean(process.env.GHPD_SUBDIRECTORY);
+    return override ?? Boolean(this.configManager.config?.subdirectoryMode);
+  }
+
+  getTransport() {
+    return GitDeployer.resolveTransport(this.configManager.config);
+  }
+
+  getDeployPath() {
+    // In subdirectory mode each deployment lives at /{project}/{branch}/ of the publishing branch
+    return this.isSubdirectoryMode() ? `${this.getCleanProjectName()}/${this.branchName}` : '';
+  }
+
+  getSpaMode() {
+    // true/false when set explicitly, undefined to decide from the framework and build output
+    return ArgsUtil.getBooleanFlag('--spa') ?? ArgsUtil.parseBoolean(process.env.GHPD_SPA) ?? this.configManager.getProjectSetting('spa');
+  }
+
+  getLinkCheckMode() {
+    const mode = ArgsUtil.getFlagValue('--link-check') || process.env.GHPD_LINK_CHECK || this.configManager.getProjectSetting('linkCheck') || 'warn';
+    if (!['warn', 'fail', 'off'].includes(mode)) {
+      throw new Error(`Unknown link check mode '${mode}'. Use 'warn', 'fail' or 'off'`);
+    }
+    return mode;
+  }
+
+  getCommitAuthor() {
+    return GitDeployer.resolveCommitAuthor(this.configManager.config, this.cwd);
+  }
+
+  getDeployOptions() {
+    return {
+      subdirectoryMode: this.isSubdirectoryMode(),
+      publishBranch: this.configManager.config.publishBranch || ConfigManager.DEFAULT_PUBLISH_BRANCH,
+      deployPath: this.getDeployPath(),
+      transport: this.getTransport(),
+      uploadConcurrency: parseInt(ArgsUtil.getFlagValue('--upload-concurrency') || process.env.GHPD_UPLOAD_CONCURRENCY, 10) || undefined,
+      spaMode: this.getSpaMode(),
+      rewritePaths: ArgsUtil.getBooleanFlag('--rewrite-paths') ?? ArgsUtil.parseBoolean(process.env.GHPD_REWRITE_PATHS) ?? this.configManager.getProjectSetting('rewritePaths'),
+      linkCheck: this.getLinkCheckMode(),
+      projectName: this.getCleanProjectName(),
+      source: this.source,
+      commitAuthor: this.getCommitAuthor()
+    };
+  }
+
+  getWaitTimeout() {
+    // null unless --wait was requested; the value is a duration like "5m" (default 10 minutes)
+    const wait = ArgsUtil.getBooleanFlag('--wait') ?? ArgsUtil.parseBoolean(process.env.GHPD_WAIT);
+    if (!wait) {
+      return null;
+    }
+    const timeout = ArgsUtil.getFlagValue('--wait-timeout') || process.env.GHPD_WAIT_TIMEOUT;
+    return timeout ? DeploymentLister.parseDuration(timeout) : PagesVerifier.DEFAULT_TIMEOUT;
+  }
+
+  async waitForSite(gitDeployer, pagesDeployer, timeout) {
+    // Poll the Pages build for our commit, then make sure the preview URL serves this deployment
+    this.logger.info(`⏳ Waiting for GitHub Pages (up to ${Math.round(timeout / 60000)} min)...`);
+    const verifier = new PagesVerifier(this.configManager.config, this.debugMode, { timeout });
     
-    // Clean the base name (remove npm scope, special chars)
-    const cleanBaseName = baseName.replace(/^@[^/]+\//, '').replace(/[^a-zA-Z0-9-]/g, '-');
+    try {
+      await verifier.verify(gitDeployer.commitSha, pagesDeployer.pagesUrl, gitDeployer.deployInfo);
+      this.logger.success(`\n✅ Your site is live: ${pagesDeployer.pagesUrl}`);
+    } catch (error) {
+      this.logger.error(error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  isBuildCacheEnabled() {
+    const override = ArgsUtil.getBooleanFlag('--cache') ?? ArgsUtil.parseBoolean(process.env.GHPD_CACHE);
+    return override ?? this.configManager.config?.buildCache !== false;
+  }
+
+  isInstallEnabled() {
+    return ArgsUtil.getBooleanFlag('--install') ?? ArgsUtil.parseBoolean(process.env.GHPD_INSTALL) ?? false;
+  }
+
+  installDependencies() {
+    // Install exactly what the lockfile says, where the lockfile is (the workspace root in a monorepo)
+    const installCommand = this.configManager.getProjectSetting('installCommand') || PackageManagerUtil.getInstallCommand(this.packageManager);
+    this.logger.info(`📥 Installing dependencies: ${installCommand}`);
     
-    return `${cleanBaseName}-${timestamp}-${randomId}`;
+    try {
+      execSync(installCommand, {
+        cwd: this.packageManager.dir,
+        stdio: this.debugMode ? 'inherit' : 'ignore'
+      });
+    } catch (error) {
+      throw new Error(`Install failed: ${error.message}`);
+    }
   }
 
-  async buildProject() {
+  async buildProject(selectedEnv = null) {
+    const fs = require('fs');
+    
+    if (this.buildConfig.prebuilt) {
+      this.outputPath = path.resolve(this.cwd, this.prebuiltDir);
+      if (!fs.existsSync(this.outputPath) || !fs.statSync(this.outputPath).isDirectory()) {
+        throw new Error(`Directory '${this.prebuiltDir}' not found`);
+      }
+      this.logger.info(`📁 Deploying prebuilt directory: ${this.prebuiltDir}`);
+      return;
+    }
+    
     this.logger.debug(`🔨 Building project: ${this.buildConfig.buildCommand}`);
     
-    // Calculate the base path for GitHub Pages (just repository name, no branch)
-    const basePath = `/${this.configManager.config.repository}`;
+    // Calculate the base path for GitHub Pages (repository name, plus the nested
+    // deployment folder in subdirectory mode)
+    const { hostname, owner, repository } = this.configManager.config;
+    const deployPath = this.getDeployPath();
+    const basePath = `${GitHubUtil.getPagesBasePath(hostname, owner, repository)}${deployPath ? `/${deployPath}` : ''}`;
+    
+    // Reuse the previous output when nothing that affects the build has changed. In subdirectory mode the
+    // base path contains the new branch folder, so the fingerprint could never match: don't cache at all
+    const buildCache = this.isBuildCacheEnabled() && !deployPath ? new BuildCache(this.cwd, this.buildConfig, this.debugMode, { inputRoot: this.workspaceRoot }) : null;
+    const fingerprint = buildCache ? buildCache.computeFingerprint({ basePath, env: selectedEnv }) : null;
+    const cachedOutput = buildCache ? buildCache.getCachedOutput(fingerprint) : null;
+    if (cachedOutput) {
+      this.outputPath = cachedOutput;
+      this.logger.info('♻️  No changes since the last build, reusing cached output');
+      return;
+    }
+    
+    if (this.isInstallEnabled()) {
+      this.installDependencies();
+    }
     
     // Handle framework-specific base path configuration
     const buildConfigurer = new BuildConfigurer(this.cwd, this.buildConfig, this.debugMode);
-    await buildConfigurer.configureBasePath(basePath);
     
     try {
-      const stdio = this.debugMode ? 'inherit' : 'ignore';
-      execSync(this.buildConfig.buildCommand, { 
-        cwd: this.cwd, 
-        stdio 
-      });
-    } catch (error) {
-      throw new Error(`Build failed: ${error.message}`);
+      await buildConfigurer.configureBasePath(basePath);
+      
+      try {
+        const stdio = this.debugMode ? 'inherit' : 'ignore';
+        execSync(this.buildConfig.buildCommand, { 
+          cwd: this.cwd, 
+          stdio 
+        });
+      } catch (error) {
+        throw new Error(`Build failed: ${error.message}`);
+      }
     } finally {
       // Restore original configuration
       await buildConfigurer.restoreOriginalConfig();
     }
 
     // Verify build output exists
-    const outputPath = path.join(this.cwd, this.buildConfig.outputDir);
-    const fs = require('fs');
+    const outputPath = path.resolve(this.cwd, this.buildConfig.outputDir);
     if (!fs.existsSync(outputPath)) {
       throw new Error(`Build output directory '${this.buildConfig.outputDir}' not found`);
     }
+    this.outputPath = outputPath;
 
     this.logger.debug(`✅ Build completed. Output in: ${this.buildConfig.outputDir}`);
+    
+    if (buildCache) {
+      buildCache.store(fingerprint, outputPath);
+    }
   }
 
 
+  async stageLocally(overrides = {}) {
+    // Build and stage the output exactly like a deployment would, without a repository
+    if (this.isAtWorkspaceRoot() && !this.prebuiltDir) {
+      await this.selectWorkspacePackage();
+    }
+    
+    if (!this.configManager.config) {
+      throw new Error('No configuration found. Run ghpd --config first, so the deployment repository (and with it the base path) is known');
+    }
+    
+    const deployOptions = { ...this.getDeployOptions(), ...overrides };
+    const gitDeployer = new GitDeployer(this.configManager.config, this.packageJson, this.cwd, this.branchName, this.buildConfig, this.debugMode, deployOptions);
+    await gitDeployer.selectEnvironment();
+    PromptUtil.assertNoMissingInputs();
+    
+    await this.buildProject(gitDeployer.selectedEnv);
+    await gitDeployer.prepareOutputForCheck(this.outputPath);
+    return gitDeployer;
+  }
+
+  async check() {
+    // Build and verify the output like a deployment would, without pushing anything
+    let gitDeployer = null;
+    
+    try {
+      this.logger.info('🔍 Checking build output...');
+      gitDeployer = await this.stageLocally({ linkCheck: 'fail' });
+      gitDeployer.checkLinks();
+      
+      this.logger.success('✅ All internal links and assets resolve');
+    } catch (error) {
+      this.logger.error(`Check failed: ${error.message}`);
+      if (this.debugMode) {
+        console.error(error.stack);
+      }
+      process.exitCode = 1;
+    } finally {
+      if (gitDeployer) {
+        gitDeployer.cleanup();
+      }
+    }
+  }
+
+  async serve() {
+    // Local preview under the same URL layout as Pages; runs until interrupted
+    let gitDeployer = null;
+    
+    try {
+      this.logger.info('🔨 Building local preview...');
+      gitDeployer = await this.stageLocally();
+      gitDeployer.checkLinks();
+      
+      const { hostname, owner, repository } = this.configManager.config;
+      const server = new PreviewServer(gitDeployer.tempDir, GitHubUtil.getPagesBasePath(hostname, owner, repository), this.debugMode);
+      const port = parseInt(ArgsUtil.getFlagValue('--port') || process.env.GHPD_PORT, 10) || PreviewServer.DEFAULT_PORT;
+      const siteUrl = await server.listen(port);
+      const deployPath = this.getDeployPath();
+      
+      this.logger.success(`👀 Local preview: ${siteUrl}${deployPath ? `${deployPath}/` : ''}`);
+      this.logger.info('   Press Ctrl+C to stop');
+      
+      await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+      });
+      await server.close();
+    } catch (error) {
+      this.logger.error(`Preview failed: ${error.message}`);
+      if (this.debugMode) {
+        console.error(error.stack);
+      }
+      process.exitCode = 1;
+    } finally {
+      if (gitDeployer) {
+        gitDeployer.cleanup();
+      }
+    }
+  }
+
   async deploy() {
     let gitDeployer = null;
     
     try {
       // Pre-flight checks and all prompts at the beginning
-      if (!(await GitHubUtil.checkGitHubCLI())) return;
+      if (this.isAtWorkspaceRoot() && !this.prebuiltDir) {
+        await this.selectWorkspacePackage();
+      }
       
-      this.enterpriseHostname = await GitHubUtil.checkAuthentication();
-      if (!this.enterpriseHostname) return;
+      this.hostname = await GitHubUtil.checkAuthentication(this.configManager.config?.hostname, this.configManager.config);
+      if (!this.hostname) {
+        process.exitCode = 1;
+        return;
+      }
+      
+      this.logger.info(`🏢 Connected to ${GitHubUtil.describeHost(this.hostname)}`);
       
-      this.logger.info(`🏢 Connected to GitHub Enterprise Server: ${this.enterpriseHostname}`);
+      const configuredHost = this.configManager.config?.hostname;
+      if (configuredHost && configuredHost !== this.hostname) {
+        throw new Error(`Configuration is set up for ${configuredHost}, not ${this.hostname}. Use --host ${configuredHost} or run --config --reset to set up ${this.hostname}.`);
+      }
       
       // Check/setup configuration with all prompts
       if (!this.configManager.config) {
-        this.configManager.config = await this.configManager.setupConfig(this.enterpriseHostname, this.packageJson, this.cwd);
+        this.configManager.config = await this.configManager.setupConfig(this.hostname, this.packageJson, this.cwd);
       } else {
         // Always prompt for project name
         const currentProjectName = this.configManager.getProjectName(this.cwd);
         // Default to directory name for first time, or previous value for subsequent runs
         const defaultProjectName = currentProjectName || this.packageJson.name || path.basename(this.cwd);
         
-        const projectName = await PromptUtil.promptUser(
-          `Project name for branch naming (default: ${defaultProjectName}): `,
-          defaultProjectName
-        );
+        const projectName = await PromptUtil.resolveInput({
+          label: 'Project name',
+          question: `Project name for branch naming (default: ${defaultProjectName}): `,
+          flag: '--project',
+          envVar: 'GHPD_PROJECT',
+          configuredValue: this.configManager.getProjectSetting('projectName'),
+          defaultValue: defaultProjectName
+        });
         
         this.configManager.saveProjectName(this.cwd, projectName);
         this.logger.success(`📛 Project name "${projectName}" saved for this repository\n`);
@@ -107,8 +431,21 @@ class GitHubPagesDeployer {
       this.branchName = this.generateBranchName();
       
       // Create deployers
-      gitDeployer = new GitDeployer(this.configManager.config, this.packageJson, this.cwd, this.branchName, this.buildConfig, this.debugMode);
-      const pagesDeployer = new PagesDeployer(this.configManager.config, this.packageJson, this.branchName, this.debugMode);
+      const deployOptions = this.getDeployOptions();
+      const waitTimeout = this.getWaitTimeout();
+      this.logger.debug(`🚚 Transport: ${deployOptions.transport}`);
+      if (deployOptions.subdirectoryMode) {
+        this.logger.debug(`📂 Subdirectory mode: deploying to ${deployOptions.publishBranch}/${deployOptions.deployPath}`);
+      }
+      
+      gitDeployer = new GitDeployer(this.configManager.config, this.packageJson, this.cwd, this.branchName, this.buildConfig, this.debugMode, deployOptions);
+      const pagesDeployer = new PagesDeployer(this.configManager.config, this.packageJson, this.branchName, this.debugMode, deployOptions);
+      
+      // Resolve the environment directory up front so nothing prompts mid-deployment
+      await gitDeployer.selectEnvironment();
+      
+      // In non-interactive mode, report everything that could not be resolved before building
+      PromptUtil.assertNoMissingInputs();
       
       // Start deployment with minimal logging
       this.logger.info('🚀 Starting deployment...');
@@ -121,16 +458,16 @@ class GitHubPagesDeployer {
       await gitDeployer.ensureGitRepo();
       
       this.logger.debug('🔨 Building project');
-      await this.buildProject();
+      await this.buildProject(gitDeployer.selectedEnv);
       
       this.logger.debug('📤 Deploying to GitHub');
-      await gitDeployer.deployToGitHub();
+      await gitDeployer.deployToGitHub(this.outputPath);
       
       this.logger.debug('📑 Configuring GitHub Pages');
       await pagesDeployer.enableGitHubPages();
       
       // Auto-cleanup if enabled
-      if (this.configManager.config.autoCleanup) {
+      if (this.configManager.isAutoCleanupEnabled(this.cwd)) {
         this.logger.debug('🧹 Cleaning up old branches');
         const cleanupManager = new CleanupManager(this.configManager.config);
         await cleanupManager.cleanupOldBranches(true);
@@ -140,16 +477,23 @@ class GitHubPagesDeployer {
       if (pagesDeployer.pagesUrl) {
         this.logger.info(`🔗 Preview URL: ${pagesDeployer.pagesUrl}`);
         this.logger.warning(`🌿 Branch: ${this.branchName}`);
-        this.logger.success(`📊 Project: ${this.configManager.getProjectName(this.cwd)}`);
+        this.logger.success(`📊 Project: ${this.getCleanProjectName()}`);
         
         if (!pagesDeployer.pagesConfigured) {
           this.logger.warning(`⚠️  Pages configuration may need manual setup:`);
           console.log(`   1. Go to: ${pagesDeployer.repoUrl.replace('/tree/', '/settings/pages')}`);
-          console.log(`   2. Set source to branch: ${this.branchName}`);
+          console.log(`   2. Set source to branch: ${pagesDeployer.sourceBranch}`);
         }
         
-        this.logger.success(`\n✅ Your site should be live within a few minutes!`);
-        this.logger.info(`📝 Check the repository's Actions tab for deployment status.`);
+        if (waitTimeout) {
+          await this.waitForSite(gitDeployer, pagesDeployer, waitTimeout);
+        } else {
+          this.logger.success(`\n✅ Your site should be live within a few minutes!`);
+          this.logger.info(`📝 Check the repository's Actions tab for deployment status.`);
+        }
+      } else if (waitTimeout) {
+        this.logger.error('GitHub Pages could not be configured, so there is no site to wait for');
+        process.exitCode = 1;
       }
       
     } catch (error) {
@@ -0,0 +1,165 @@
+const http = require('http');
+const https = require('https');
+const { execSync } = require('child_process');
+
+class GitHubApiError extends Error {
+  constructor(message, status, response = null) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.response = response;
+  }
+}
+
+class GitHubClient {
+  constructor({ hostname = 'github.com', token = null, baseUrl = null, userAgent = 'gh-pages-poc-deploy' } = {}) {
+    this.hostname = hostname;
+    this.token = token;
+    this.userAgent = userAgent;
+
+    // GHPD_API_URL lets tests point the client at a local mock server
+    this.baseUrl = (baseUrl || process.env.GHPD_API_URL || GitHubClient.getApiBaseUrl(hostname)).replace(/\/$/, '');
+  }
+
+  static getApiBaseUrl(hostname) {
+    return hostname === 'github.com' ? 'https://api.github.com' : `https://${hostname}/api/v3`;
+  }
+
+  static getGraphQLUrl(baseUrl) {
+    // https://api.github.com/graphql, or https://{host}/api/graphql on Enterprise Server
+    return baseUrl.endsWith('/api/v3') ? baseUrl.replace(/\/v3$/, '/graphql') : `${baseUrl}/graphql`;
+  }
+
+  static getEnvironmentToken(hostname) {
+    // Same variables gh itself honours: GH_TOKEN/GITHUB_TOKEN for github.com,
+    // GH_ENTERPRISE_TOKEN/GITHUB_ENTERPRISE_TOKEN for Enterprise Server. A github.com token
+    // is never sent to another host; without an enterprise variable, config and gh are used
+    if (hostname === 'github.com') {
+      return process.env.GH_TOKEN || process.env.GITHUB_TOKEN || null;
+    }
+    return process.env.GH_ENTERPRISE_TOKEN || process.env.GITHUB_ENTERPRISE_TOKEN || null;
+  }
+
+  static getGitHubCLIToken(hostname) {
+    try {
+      const token = execSync(`gh auth token --hostname ${hostname}`, { encoding: 'utf8', stdio: 'pipe' }).trim();
+      return token || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static resolveToken(hostname, config = null) {
+    // Environment first, then a token saved in ~/.ghd-config.json, then gh as an optional credential source
+    return GitHubClient.getEnvironmentToken(hostname) ||
+      (config?.token && (!config.hostname || config.hostname === hostname) ? config.token : null) ||
+      GitHubClient.getGitHubCLIToken(hostname);
+  }
+
+  static forHost(hostname, config = null) {
+    const token = GitHubClient.resolveToken(hostname, config);
+    if (!token) {
+      throw new Error(`No GitHub token found for ${hostname}. Set ${hostname === 'github.com' ? 'GH_TOKEN' : 'GH_ENTERPRISE_TOKEN'}, add "token" to ~/.ghd-config.json, or run: gh auth login --hostname ${hostname}`);
+    }
+    return new GitHubClient({ hostname, token });
+  }
+
+  async request(method, apiPath, body = undefined) {
+    const { data } = await this.send(method, apiPath, body);
+    return data;
+  }
+
+  async paginate(apiPath) {
+    // Follow rel="next" links until every page has been collected
+    let results = [];
+    let next = apiPath + (apiPath.includes('?') ? '&' : '?') + 'per_page=100';
+
+    while (next) {
+      const { data, headers } = await this.send('GET', next);
+      results = results.concat(Array.isArray(data) ? data : []);
+      next = GitHubClient.parseNextLink(headers.link);
+    }
+
+    return results;
+  }
+
+  async graphql(query, variables = {}) {
+    const { data } = await this.send('POST', GitHubClient.getGraphQLUrl(this.baseUrl), { query, variables });
+    if (data?.errors?.length) {
+      throw new GitHubApiError(`GraphQL error: ${data.errors.map(error => error.message).join('; ')}`, 200, data);
+    }
+    return data?.data;
+  }
+
+  static parseNextLink(linkHeader) {
+    if (!linkHeader) return null;
+    const match = linkHeader.split(',').map(part => part.match(/<([^>]+)>\s*;\s*rel="next"/)).find(Boolean);
+    return match ? match[1] : null;
+  }
+
+  send(method, apiPath, body = undefined) {
+    const url = new URL(/^https?:\/\//.test(apiPath) ? apiPath : `${this.baseUrl}${apiPath.startsWith('/') ? '' : '/'}${apiPath}`);
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const transport = url.protocol === 'http:' ? http : https;
+
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': this.userAgent,
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+    if (payload !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let data = null;
+          if (raw) {
+            try {
+              data = JSON.parse(raw);
+            } catch (error) {
+              data = raw;
+            }
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({ status: res.statusCode, headers: res.headers, data });
+            return;
+          }
+
+          reject(GitHubClient.toError(method, url, res.statusCode, data));
+        });
+      });
+
+      req.on('error', error => reject(new GitHubApiError(`${method} ${url.pathname} failed: ${error.message}`, 0)));
+      if (payload !== null) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  static toError(method, url, status, data) {
+    // GitHub error bodies look like { message, errors: [{ message | code, field }], documentation_url }
+    let message = typeof data === 'object' && data?.message ? data.message : `HTTP ${status}`;
+    if (Array.isArray(data?.errors) && data.errors.length > 0) {
+      const details = data.errors.map(error => error.message || [error.field, error.code].filter(Boolean).join(' ')).filter(Boolean);
+      if (details.length > 0) {
+        message += ` (${details.join('; ')})`;
+      }
+    }
+    return new GitHubApiError(`${method} ${url.pathname} failed with ${status}: ${message}`, status, data);
+  }
+}
+
+GitHubClient.GitHubApiError = GitHubApiError;
+
+module.exports = GitHubClient;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+const FileUtil = require('../utils/file');
+
+class BuildCache {
+  constructor(cwd, buildConfig, debugMode = false, options = {}) {
+    this.cwd = cwd;
+    this.buildConfig = buildConfig;
+    this.debugMode = debugMode;
+    
+    // In a monorepo, fingerprint the whole workspace so changes to shared packages and the root lockfile count
+    this.inputRoot = options.inputRoot || cwd;
+    
+    // One cache entry per project directory: the output of its last build
+    const projectKey = crypto.createHash('sha1').update(path.resolve(cwd)).digest('hex').slice(0, 16);
+    this.cacheDir = path.join(os.homedir(), '.ghd-cache', projectKey);
+    this.outputCachePath = path.join(this.cacheDir, 'output');
+    this.metadataPath = path.join(this.cacheDir, 'fingerprint.json');
+  }
+
+  log(message) {
+    if (this.debugMode) {
+      console.log(message);
+    }
+  }
+
+  computeFingerprint({ basePath, env }) {
+    const hash = crypto.createHash('sha256');
+    
+    // Everything besides the sources that changes what the build produces
+    hash.update(JSON.stringify({
+      basePath,
+      env: env || null,
+      framework: this.buildConfig.framework,
+      buildCommand: this.buildConfig.buildCommand,
+      outputDir: this.buildConfig.outputDir
+    }));
+    
+    const files = this.listInputFiles();
+    this.log(`🔍 Fingerprinting ${files.length} input files...`);
+    
+    for (const file of files) {
+      const filePath = path.join(this.inputRoot, file);
+      if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) continue;
+      hash.update(`${file}\0`);
+      hash.update(fs.readFileSync(filePath));
+      hash.update('\0');
+    }
+    
+    return hash.digest('hex');
+  }
+
+  listInputFiles() {
+    const outputDir = path.relative(this.inputRoot, path.resolve(this.cwd, this.buildConfig.outputDir)).split(path.sep).join('/');
+    const isOutput = file => file === outputDir || file.startsWith(`${outputDir}/`);
+    
+    // Lockfiles and .env files change the build even when they are git-ignored
+    const extraFiles = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb', 'bun.lock']
+      .concat(fs.readdirSync(this.inputRoot).filter(file => file.startsWith('.env')))
+      .concat(fs.readdirSync(this.cwd).filter(file => file.startsWith('.env')).map(file => path.relative(this.inputRoot, path.join(this.cwd, file)).split(path.sep).join('/')));
+    
+    const files = new Set([...this.listSourceFiles(), ...extraFiles]);
+    return [...files].filter(file => !isOutput(file)).sort();
+  }
+
+  listSourceFiles() {
+    // Let git apply .gitignore (tracked plus untracked, non-ignored files) when possible
+    try {
+      const output = execSync('git ls-files -z --cached --others --exclude-standard', {
+        cwd: this.inputRoot,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        maxBuffer: 64 * 1024 * 1024
+      });
+      return output.split('\0').filter(Boolean);
+    } catch (error) {
+      this.log('ℹ️  Not a git repository, reading .gitignore directly');
+    }
+    
+    const ignore = this.loadGitignore();
+    return FileUtil.listFiles(this.inputRoot, '', ignore);
+  }
+
+  loadGitignore() {
+    // Minimal .gitignore support for non-git checkouts: root file, simple globs, no negation
+    const patterns = ['.git', 'node_modules'];
+    const gitignorePath = path.join(this.inputRoot, '.gitignore');
+    if (fs.existsSync(gitignorePath)) {
+      fs.readFileSync(gitignorePath, 'utf8').split(/\r?\n/).forEach(line => {
+        const pattern = line.trim();
+        if (pattern && !pattern.startsWith('#') && !pattern.startsWith('!')) {
+          patterns.push(pattern);
+        }
+      });
+    }
+    
+    const matchers = patterns.map(pattern => {
+      const anchored = pattern.startsWith('/');
+      const body = pattern.replace(/^\//, '').replace(/\/$/, '');
+      const regex = body.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*\*/g, '\u0000').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]').replace(/\u0000/g, '.*');
+      return new RegExp(anchored || body.includes('/') ? `^${regex}(/|$)` : `(^|/)${regex}(/|$)`);
+    });
+    
+    return file => matchers.some(matcher => matcher.test(file));
+  }
+
+  getCachedOutput(fingerprint) {
+    try {
+      if (!fs.existsSync(this.metadataPath) || !fs.existsSync(this.outputCachePath)) {
+        return null;
+      }
+      const metadata = JSON.parse(fs.readFileSync(this.metadataPath, 'utf8'));
+      return metadata.fingerprint === fingerprint ? this.outputCachePath : null;
+    } catch (error) {
+      this.log(`⚠️  Could not read build cache: ${error.message}`);
+      return null;
+    }
+  }
+
+  store(fingerprint, outputPath) {
+    try {
+      fs.rmSync(this.cacheDir, { recursive: true, force: true });
+      fs.mkdirSync(this.outputCachePath, { recursive: true });
+      FileUtil.copyDirectory(outputPath, this.outputCachePath);
+      fs.writeFileSync(this.metadataPath, JSON.stringify({
+        fingerprint,
+        cwd: path.resolve(this.cwd),
+        outputDir: this.buildConfig.outputDir,
+        createdAt: new Date().toISOString()
+      }, null, 2));
+      this.log(`💾 Build output cached in ${this.cacheDir}`);
+    } catch (error) {
+      // A failed cache write must never fail the deployment
+      this.log(`⚠️  Could not write build cache: ${error.message}`);
+    }
+  }
+}
+
+module.exports = BuildCache;
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const FileUtil = require('../utils/file');
+const PackageManagerUtil = require('../utils/packageManager');
 
 class BuildConfigurer {
   constructor(cwd, buildConfig, debugMode = false) {
@@ -7,6 +9,8 @@ class BuildConfigurer {
     this.buildConfig = buildConfig;
     this.debugMode = debugMode;
     this.originalEnv = {};
+    this.modifiedFiles = [];
+    this.restoreOnSignal = null;
   }
 
   log(message) {
@@ -19,7 +23,7 @@ class BuildConfigurer {
     // Store original environment variables
     this.originalEnv = { ...process.env };
     
-    // For enterprise with single Pages per repo, base path is just the repo name
+    // With a single Pages site per repo, the base path is derived from the repo name
     const repoBasePath = basePath;
     this.log(`🔧 Setting base path via environment: ${repoBasePath}`);
     
@@ -33,30 +37,112 @@ class BuildConfigurer {
       case 'react':
         this.configureReactEnv(repoBasePath);
         break;
+      case 'angular':
+        this.configureAngular(repoBasePath);
+        break;
+      case 'sveltekit':
+        this.configureSvelteKit(repoBasePath);
+        break;
+      case 'nuxt':
+        this.configureNuxt(repoBasePath);
+        break;
+      case 'remix':
+        this.configureRemix(repoBasePath);
+        break;
+      case 'storybook':
+        this.configureStorybook(repoBasePath);
+        break;
+      case 'astro':
+        this.configureAstro(repoBasePath);
+        break;
+      case 'gatsby':
+        this.configureGatsby(repoBasePath);
+        break;
+      case 'docusaurus':
+        this.configureDocusaurus(repoBasePath);
+        break;
+      case 'eleventy':
+        this.configureEleventy(repoBasePath);
+        break;
       default:
         this.log('ℹ️  Generic project - you may need to manually configure asset paths');
     }
   }
 
   configureNextJsEnv(basePath) {
+    // Fail before building if the app relies on a server
+    const blockers = this.findNextExportBlockers();
+    if (blockers.length > 0) {
+      throw new Error(`This Next.js app can't be exported as a static site for GitHub Pages:\n${blockers.map(blocker => `   - ${blocker}`).join('\n')}`);
+    }
+    
     // Next.js respects these environment variables during build
     process.env.NEXT_PUBLIC_BASE_PATH = basePath;
     process.env.NEXT_BASE_PATH = basePath;
     process.env.NEXT_ASSET_PREFIX = basePath;
     
-    // Check if they have a config that might need static export
-    const configFiles = ['next.config.js', 'next.config.ts', 'next.config.mjs'];
-    const hasConfig = configFiles.some(file => fs.existsSync(path.join(this.cwd, file)));
+    // The config may export an object or a (async) function of (phase, { defaultConfig })
+    const settings = `output: 'export',
+    basePath: ${JSON.stringify(basePath)},
+    assetPrefix: ${JSON.stringify(basePath)},
+    trailingSlash: true,
+    images: { ...config.images, unoptimized: true }`;
+    const body = `async function (phase, context) {
+  const config = typeof original === 'function' ? await original(phase, context) : await original;
+  return {
+    ...config,
+    ${settings}
+  };
+}`;
     
-    if (hasConfig) {
-      this.log('⚠️  Next.js config detected. Ensure your config includes:');
-      this.log('   - output: "export" for static export');
-      this.log('   - basePath: process.env.NEXT_BASE_PATH');
-      this.log('   - assetPrefix: process.env.NEXT_ASSET_PREFIX');
-      this.log('   - images: { unoptimized: true }');
-    } else {
-      this.log('📝 Using environment variables for Next.js base path');
+    this.wrapConfigFile(this.buildConfig.configFile || 'next.config.mjs', (originalImport, isEsm) => isEsm
+      ? `import original from '${originalImport}';\n\nexport default ${body};\n`
+      : `const imported = require('${originalImport}');\nconst original = imported.default || imported;\n\nmodule.exports = ${body};\n`
+    );
+    this.log('📝 Enforcing static export, basePath, assetPrefix, trailingSlash and unoptimized images for Next.js');
+  }
+
+  findNextExportBlockers() {
+    const blockers = [];
+    const sourceFile = /\.(js|jsx|ts|tsx|mjs|cjs)$/;
+    const skip = file => file === 'node_modules' || file.endsWith('/node_modules');
+    
+    for (const root of ['', 'src']) {
+      const rootDir = path.join(this.cwd, root);
+      const prefix = root ? `${root}/` : '';
+      
+      const middleware = ['middleware.js', 'middleware.ts'].find(file => fs.existsSync(path.join(rootDir, file)));
+      if (middleware) {
+        blockers.push(`${prefix}${middleware}: middleware needs a server`);
+      }
+      
+      // Pages Router: API routes and getServerSideProps
+      const pagesDir = path.join(rootDir, 'pages');
+      if (fs.existsSync(pagesDir) && fs.statSync(pagesDir).isDirectory()) {
+        FileUtil.listFiles(pagesDir, `${prefix}pages`, skip).filter(file => sourceFile.test(file)).forEach(file => {
+          if (file.startsWith(`${prefix}pages/api/`)) {
+            blockers.push(`${file}: API routes are not supported by static export`);
+          } else if (/\bgetServerSideProps\b/.test(fs.readFileSync(path.join(this.cwd, file), 'utf8'))) {
+            blockers.push(`${file}: getServerSideProps renders on every request; use getStaticProps`);
+          }
+        });
+      }
+      
+      // App Router: dynamic route handlers and pages forced to render per request
+      const appDir = path.join(rootDir, 'app');
+      if (fs.existsSync(appDir) && fs.statSync(appDir).isDirectory()) {
+        FileUtil.listFiles(appDir, `${prefix}app`, skip).filter(file => sourceFile.test(file)).forEach(file => {
+          const content = fs.readFileSync(path.join(this.cwd, file), 'utf8');
+          if (/(^|\/)route\.\w+$/.test(file) && !/dynamic\s*=\s*['"]force-static['"]/.test(content)) {
+            blockers.push(`${file}: route handlers must be GET-only with export const dynamic = 'force-static'`);
+          } else if (/dynamic\s*=\s*['"]force-dynamic['"]/.test(content)) {
+            blockers.push(`${file}: dynamic = 'force-dynamic' renders on every request`);
+          }
+        });
+      }
     }
+    
+    return blockers;
   }
 
   configureViteEnv(basePath) {
@@ -87,7 +173,266 @@ class BuildConfigurer {
     this.log('📝 Set PUBLIC_URL environment variable for Create React App');
   }
 
+  configureAngular(basePath) {
+    // Angular writes <base href> into index.html; router and asset URLs resolve against it
+    if (this.addBuildArgs('ng build', `--base-href ${basePath}/`)) {
+      this.log('📝 Using --base-href CLI argument for Angular');
+    } else {
+      this.log(`⚠️  Could not pass --base-href to ng build. Set "baseHref": "${basePath}/" in angular.json`);
+    }
+  }
+
+  configureSvelteKit(basePath) {
+    // kit.paths.base must start with a slash and must not end with one ('' for the root)
+    const base = JSON.stringify(basePath);
+    this.wrapConfigFile(this.buildConfig.configFile || 'svelte.config.js', (originalImport) =>
+      `import config from '${originalImport}';\n\nexport default { ...config, kit: { ...config.kit, paths: { ...config.kit?.paths, base: ${base} } } };\n`
+    );
+    this.log(`📝 Set SvelteKit paths.base to ${basePath || "''"}`);
+  }
+
+  configureNuxt(basePath) {
+    // Nuxt 3 maps NUXT_APP_BASE_URL onto app.baseURL at build time
+    process.env.NUXT_APP_BASE_URL = `${basePath}/`;
+    if (this.buildConfig.outputDir === 'dist') {
+      this.log(`⚠️  Nuxt 2 ignores NUXT_APP_BASE_URL. Set router.base to '${basePath}/' in your Nuxt config`);
+    } else {
+      this.log('📝 Set NUXT_APP_BASE_URL for Nuxt app.baseURL');
+    }
+  }
+
+  configureRemix(basePath) {
+    if (!this.buildConfig.spaMode) {
+      throw new Error('Remix apps can only be deployed to GitHub Pages in SPA mode. Add ssr: false to the remix() plugin in your Vite config');
+    }
+    
+    // Plugin options are fixed once the config has run, so basename (router) and base (assets) are written into the source
+    const base = JSON.stringify(`${basePath}/`);
+    const setOption = (content, call, key) => {
+      // Replace an existing literal value, otherwise add the option to the call's object argument
+      const existing = new RegExp(`\\b${key}\\s*:\\s*(['"\`])[^'"\`]*\\1`);
+      if (existing.test(content)) {
+        return content.replace(existing, `${key}: ${base}`);
+      }
+      return content.replace(new RegExp(`\\b${call}\\(\\s*(\\)|{)`), (match, next) =>
+        next === ')' ? `${call}({ ${key}: ${base} })` : `${match} ${key}: ${base},`
+      );
+    };
+    const patched = this.patchConfigFile(this.buildConfig.configFile, content =>
+      setOption(setOption(content, 'remix', 'basename'), 'defineConfig', 'base')
+    );
+    
+    if (patched) {
+      this.log(`📝 Set Remix basename and Vite base to ${basePath}/`);
+    } else {
+      this.log(`⚠️  Could not update the Remix Vite config. Set basename and base to '${basePath}/' manually`);
+    }
+  }
+
+  configureStorybook(basePath) {
+    // The manager loads iframe.html relative to its own page; the preview bundle needs the
+    // base path for its asset URLs, set through the builder's final Vite/webpack config
+    if (!this.buildConfig.configFile) {
+      this.log('⚠️  No .storybook/main file found - Storybook assets use its default relative paths');
+      return;
+    }
+    
+    const publicPath = JSON.stringify(`${basePath}/`);
+    const body = `{
+  ...config,
+  async viteFinal(viteConfig, options) {
+    const result = config.viteFinal ? await config.viteFinal(viteConfig, options) : viteConfig;
+    return { ...result, base: ${publicPath} };
+  },
+  async webpackFinal(webpackConfig, options) {
+    const result = config.webpackFinal ? await config.webpackFinal(webpackConfig, options) : webpackConfig;
+    return { ...result, output: { ...result.output, publicPath: ${publicPath} } };
+  }
+}`;
+    
+    this.wrapConfigFile(this.buildConfig.configFile, (originalImport, isEsm) => isEsm
+      ? `import config from '${originalImport}';\n\nexport default ${body};\n`
+      : `const imported = require('${originalImport}');\nconst config = imported.default || imported;\n\nmodule.exports = ${body};\n`
+    );
+    this.log(`📝 Set Storybook asset base path to ${basePath}/`);
+  }
+
+  configureAstro(basePath) {
+    // Astro reads `base` from its config; the --base CLI flag overrides it
+    if (this.addBuildArgs('astro build', `--base ${basePath || '/'}`)) {
+      this.log('📝 Using --base CLI argument for Astro base path');
+    } else {
+      this.log('⚠️  Could not pass --base to astro build. Set base: process.env.ASTRO_BASE in your Astro config');
+    }
+    process.env.ASTRO_BASE = basePath || '/';
+  }
+
+  configureGatsby(basePath) {
+    // Gatsby only applies pathPrefix from gatsby-config when building with --prefix-paths
+    process.env.PREFIX_PATHS = 'true';
+    this.addBuildArgs('gatsby build', '--prefix-paths');
+    
+    this.wrapConfigFile(this.buildConfig.configFile || 'gatsby-config.js', (originalImport, isEsm) => isEsm
+      ? `import config from '${originalImport}';\n\nexport default { ...config, pathPrefix: ${JSON.stringify(basePath)} };\n`
+      : `const config = require('${originalImport}');\n\nmodule.exports = { ...(config.default || config), pathPrefix: ${JSON.stringify(basePath)} };\n`
+    );
+    this.log('📝 Set Gatsby pathPrefix and --prefix-paths');
+  }
+
+  configureDocusaurus(basePath) {
+    // baseUrl must start and end with a slash; the config may export an object, a promise or a (async) function
+    const baseUrl = `${basePath}/`;
+    const body = `async function (...args) {
+  const config = typeof original === 'function' ? await original(...args) : await original;
+  return { ...config, baseUrl: ${JSON.stringify(baseUrl)} };
+}`;
+    
+    if (!this.buildConfig.configFile) {
+      this.log('⚠️  No docusaurus.config file found - set baseUrl manually');
+      return;
+    }
+    
+    this.wrapConfigFile(this.buildConfig.configFile, (originalImport, isEsm) => isEsm
+      ? `import original from '${originalImport}';\n\nexport default ${body};\n`
+      : `const imported = require('${originalImport}');\nconst original = imported.default || imported;\n\nmodule.exports = ${body};\n`
+    );
+    this.log(`📝 Set Docusaurus baseUrl to ${baseUrl}`);
+  }
+
+  configureEleventy(basePath) {
+    // Eleventy's url filter and HTML base plugin use pathPrefix, which --pathprefix overrides
+    if (this.addBuildArgs('eleventy', `--pathprefix=${basePath}/`)) {
+      this.log('📝 Using --pathprefix CLI argument for Eleventy');
+    } else {
+      this.log('⚠️  Could not pass --pathprefix to eleventy. Set pathPrefix in your Eleventy config');
+    }
+  }
+
+  readPackageJson() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.cwd, 'package.json'), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  addBuildArgs(cliCommand, args) {
+    const buildCommand = this.buildConfig.buildCommand;
+    
+    // The framework CLI is called directly
+    if (buildCommand.includes(cliCommand)) {
+      this.buildConfig.buildCommand = buildCommand.replace(cliCommand, `${cliCommand} ${args}`);
+      return true;
+    }
+    
+    // `<pm> run build` where the build script runs the CLI: forward the arguments to the script
+    const buildScript = this.readPackageJson().scripts?.build || '';
+    if (/\brun build$/.test(buildCommand) && buildScript.includes(cliCommand)) {
+      const packageManager = { name: this.buildConfig.packageManager || 'npm' };
+      this.buildConfig.buildCommand = PackageManagerUtil.forwardArgs(packageManager, buildCommand, args);
+      return true;
+    }
+    
+    return false;
+  }
+
+  isEsmConfig(configFile) {
+    const ext = path.extname(configFile);
+    if (['.mjs', '.mts', '.ts'].includes(ext)) return true;
+    if (ext === '.cjs') return false;
+    return this.readPackageJson().type === 'module';
+  }
+
+  wrapConfigFile(configFile, createWrapper) {
+    // Move the user's config aside and put a wrapper that extends it in its place.
+    // restoreOriginalConfig() (also run on Ctrl+C) moves everything back
+    const configPath = path.join(this.cwd, configFile);
+    const ext = path.extname(configFile);
+    const originalFile = `${path.basename(configFile, ext)}.ghpd-original${ext}`;
+    const originalPath = path.join(path.dirname(configPath), originalFile);
+    const isEsm = this.isEsmConfig(configFile);
+    
+    if (fs.existsSync(configPath)) {
+      fs.renameSync(configPath, originalPath);
+      this.modifiedFiles.push({ path: configPath, originalPath });
+      // TypeScript resolves the import without an extension
+      const originalImport = `./${ext === '.ts' ? originalFile.slice(0, -ext.length) : originalFile}`;
+      fs.writeFileSync(configPath, createWrapper(originalImport, isEsm));
+    } else {
+      // No config yet: a temporary one that only contains our settings
+      const emptyPath = path.join(path.dirname(configPath), `ghpd-empty-config${isEsm ? '.mjs' : '.cjs'}`);
+      fs.writeFileSync(emptyPath, isEsm ? 'export default {};\n' : 'module.exports = {};\n');
+      this.modifiedFiles.push({ path: emptyPath, originalPath: null });
+      this.modifiedFiles.push({ path: configPath, originalPath: null });
+      fs.writeFileSync(configPath, createWrapper(`./${path.basename(emptyPath)}`, isEsm));
+    }
+    
+    this.log(`🔧 Temporarily wrapped ${configFile} (original kept as ${originalFile})`);
+    this.watchForInterrupt();
+  }
+
+  patchConfigFile(configFile, transform) {
+    // For configs that can't be wrapped: keep a copy of the original and edit the file in place
+    const configPath = configFile ? path.join(this.cwd, configFile) : null;
+    if (!configPath || !fs.existsSync(configPath)) {
+      return false;
+    }
+    
+    const content = fs.readFileSync(configPath, 'utf8');
+    const updated = transform(content);
+    if (updated === content) {
+      return false;
+    }
+    
+    const ext = path.extname(configFile);
+    const originalPath = path.join(this.cwd, `${configFile.slice(0, -ext.length)}.ghpd-original${ext}`);
+    fs.copyFileSync(configPath, originalPath);
+    this.modifiedFiles.push({ path: configPath, originalPath });
+    fs.writeFileSync(configPath, updated);
+    
+    this.log(`🔧 Temporarily patched ${configFile}`);
+    this.watchForInterrupt();
+    return true;
+  }
+
+  watchForInterrupt() {
+    if (this.restoreOnSignal) return;
+    
+    this.restoreOnSignal = () => {
+      this.restoreFiles();
+      process.exit(130);
+    };
+    process.once('SIGINT', this.restoreOnSignal);
+    process.once('SIGTERM', this.restoreOnSignal);
+  }
+
+  restoreFiles() {
+    // Undo in reverse order so nested changes unwind cleanly
+    while (this.modifiedFiles.length > 0) {
+      const file = this.modifiedFiles.pop();
+      try {
+        fs.rmSync(file.path, { force: true });
+        if (file.originalPath) {
+          fs.renameSync(file.originalPath, file.path);
+        }
+      } catch (error) {
+        console.error(`❌ Could not restore ${file.path}: ${error.message}`);
+      }
+    }
+    
+    if (this.restoreOnSignal) {
+      process.removeListener('SIGINT', this.restoreOnSignal);
+      process.removeListener('SIGTERM', this.restoreOnSignal);
+      this.restoreOnSignal = null;
+    }
+  }
+
   async restoreOriginalConfig() {
+    if (this.modifiedFiles.length > 0) {
+      this.log('🔄 Restoring original config files...');
+      this.restoreFiles();
+    }
+    
     this.log('🔄 Restoring original environment variables...');
     
     // Restore original environment
@@ -1,11 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const PackageManagerUtil = require('../utils/packageManager');
 
 class BuildDetector {
-  constructor(cwd, packageJson, debugMode = false) {
+  constructor(cwd, packageJson, debugMode = false, options = {}) {
     this.cwd = cwd;
     this.packageJson = packageJson;
     this.debugMode = debugMode;
+    this.packageManager = options.packageManager || PackageManagerUtil.detect(cwd);
   }
 
   log(message) {
@@ -14,19 +16,121 @@ class BuildDetector {
     }
   }
 
-  detectBuildConfig() {
-    const configs = {
-      next: this.findNextConfig(),
-      vite: this.findViteConfig(),
-      react: this.findReactConfig(),
-      generic: this.findGenericConfig()
+  detectBuildConfig(overrides = {}) {
+    let detected = overrides.storybook === true ? this.findStorybookConfig() : this.detectFramework(overrides.framework);
+    if (this.isStorybookOnly(overrides, detected)) {
+      detected = this.findStorybookConfig();
+    }
+    
+    // Explicit settings from the project config file win over detection
+    const buildConfig = { ...detected, packageManager: this.packageManager.name };
+    if (overrides.buildCommand) {
+      this.log(`🔧 Using configured build command: ${overrides.buildCommand}`);
+      buildConfig.buildCommand = overrides.buildCommand;
+    }
+    if (overrides.outputDir) {
+      this.log(`📁 Using configured output directory: ${overrides.outputDir}`);
+      buildConfig.outputDir = overrides.outputDir;
+    }
+    return buildConfig;
+  }
+
+  detectFramework(frameworkOverride) {
+    const detectors = {
+      next: () => this.findNextConfig(),
+      angular: () => this.findAngularConfig(),
+      sveltekit: () => this.findSvelteKitConfig(),
+      nuxt: () => this.findNuxtConfig(),
+      remix: () => this.findRemixConfig(),
+      astro: () => this.findAstroConfig(),
+      gatsby: () => this.findGatsbyConfig(),
+      docusaurus: () => this.findDocusaurusConfig(),
+      eleventy: () => this.findEleventyConfig(),
+      storybook: () => this.findStorybookConfig(),
+      vite: () => this.findViteConfig(),
+      react: () => this.findReactConfig(),
+      generic: () => this.findGenericConfig()
     };
 
-    // Priority: Next.js > Vite > Create React App > Generic
-    if (configs.next) return configs.next;
-    if (configs.vite) return configs.vite;
-    if (configs.react) return configs.react;
-    return configs.generic;
+    if (frameworkOverride) {
+      if (!detectors[frameworkOverride]) {
+        throw new Error(`Unknown framework '${frameworkOverride}'. Supported: ${Object.keys(detectors).join(', ')}`);
+      }
+      this.log(`🔧 Framework set to '${frameworkOverride}' by project configuration`);
+      return detectors[frameworkOverride]() || { ...this.findGenericConfig(), framework: frameworkOverride };
+    }
+
+    // Priority: Next.js > app frameworks > static-site generators > Vite > Create React App > Generic.
+    // SvelteKit, Remix, Astro and Docusaurus build on Vite/React, so they must be checked first
+    return detectors.next() || detectors.angular() || detectors.sveltekit() || detectors.nuxt() ||
+      detectors.remix() || detectors.astro() || detectors.gatsby() || detectors.docusaurus() ||
+      detectors.eleventy() || detectors.vite() || detectors.react() || detectors.generic();
+  }
+
+  isStorybookOnly({ framework, storybook }, detected) {
+    // Storybook is a separate target next to the app build: --storybook (or framework "storybook") selects it.
+    // A .storybook/ directory alone only does when there is no app to deploy - no framework and no build script -
+    // so apps that keep their stories alongside still deploy the app
+    if (storybook !== undefined || framework || !fs.existsSync(path.join(this.cwd, '.storybook'))) {
+      return false;
+    }
+    return detected.framework === 'generic' && !this.packageJson.scripts?.build;
+  }
+
+  findStorybookConfig() {
+    const scripts = this.packageJson.scripts || {};
+    const scriptName = Object.keys(scripts).find(name => /\b(storybook build|build-storybook)\b/.test(scripts[name]));
+    const script = scriptName ? scripts[scriptName] : '';
+    
+    // Storybook 7+ ships the `storybook` CLI; older versions use build-storybook
+    let buildCommand = scriptName ? this.runScript(scriptName) : null;
+    if (!buildCommand) {
+      buildCommand = this.execBinary(this.hasDependency('storybook') ? 'storybook build' : 'build-storybook');
+    }
+    
+    const outputMatch = script.match(/(?:--output-dir|-o)[=\s]+['"]?([^\s'"]+)/);
+    const configDirMatch = script.match(/(?:--config-dir|-c)[=\s]+['"]?([^\s'"]+)/);
+    const configDir = configDirMatch ? configDirMatch[1] : '.storybook';
+    const mainFile = ['main.ts', 'main.js', 'main.mjs', 'main.cjs', 'main.mts', 'main.cts']
+      .map(file => `${configDir}/${file}`)
+      .find(file => fs.existsSync(path.join(this.cwd, file)));
+    
+    this.log(`📕 Detected Storybook${mainFile ? ` (${mainFile})` : ''}`);
+    if (outputMatch) {
+      this.log(`📁 Found custom Storybook output dir: ${outputMatch[1]}`);
+    }
+    
+    return {
+      framework: 'storybook',
+      buildCommand,
+      outputDir: outputMatch ? outputMatch[1] : 'storybook-static',
+      configFile: mainFile
+    };
+  }
+
+  runScript(script) {
+    return PackageManagerUtil.runScript(this.packageManager, script);
+  }
+
+  execBinary(command) {
+    return PackageManagerUtil.exec(this.packageManager, command);
+  }
+
+  hasDependency(name) {
+    return Boolean(this.packageJson.dependencies?.[name] || this.packageJson.devDependencies?.[name]);
+  }
+
+  findConfigFile(configFiles) {
+    return configFiles.find(file => fs.existsSync(path.join(this.cwd, file)));
+  }
+
+  readConfigFile(configFile) {
+    try {
+      return fs.readFileSync(path.join(this.cwd, configFile), 'utf8');
+    } catch (error) {
+      this.log(`⚠️  Could not parse ${configFile}, using default output directory`);
+      return '';
+    }
   }
 
   findGenericConfig() {
@@ -41,7 +145,7 @@ class BuildDetector {
           this.log(`📦 Detected generic project with inferred output: ${dir}`);
           return {
             framework: 'generic',
-            buildCommand: 'npm run build',
+            buildCommand: this.runScript('build'),
             outputDir: dir
           };
         }
@@ -54,7 +158,7 @@ class BuildDetector {
       this.log(`📦 Detected generic project, found existing directory: ${existingDirs[0]}`);
       return {
         framework: 'generic',
-        buildCommand: 'npm run build',
+        buildCommand: this.runScript('build'),
         outputDir: existingDirs[0]
       };
     }
@@ -62,24 +166,24 @@ class BuildDetector {
     this.log(`📦 Detected generic project`);
     return {
       framework: 'generic',
-      buildCommand: 'npm run build',
+      buildCommand: this.runScript('build'),
       outputDir: 'dist' // Final fallback
     };
   }
 
   findNextConfig() {
-    const configFiles = ['next.config.js', 'next.config.ts', 'next.config.mjs'];
+    const configFiles = ['next.config.js', 'next.config.ts', 'next.config.mjs', 'next.config.cjs'];
     const configFile = configFiles.find(file => fs.existsSync(path.join(this.cwd, file)));
     
-    if (configFile) {
-      this.log(`📦 Detected Next.js project (${configFile})`);
+    if (configFile || this.hasDependency('next')) {
+      this.log(`📦 Detected Next.js project${configFile ? ` (${configFile})` : ''}`);
       
       // Try to parse the config to find output directory
-      const outputDir = this.parseNextConfig(configFile);
+      const outputDir = configFile ? this.parseNextConfig(configFile) : null;
       
       return {
         framework: 'next',
-        buildCommand: 'npm run build',
+        buildCommand: this.runScript('build'),
         outputDir: outputDir || 'out', // fallback to 'out'
         requiresExport: true,
         configFile: configFile
@@ -100,26 +204,221 @@ class BuildDetector {
         return distDirMatch[1];
       }
       
-      // Check if output is 'export' (static export)
-      const outputMatch = configContent.match(/output\s*:\s*['"`]export['"`]/);
-      if (outputMatch) {
-        // For static export, check for custom outDir or default to 'out'
-        const outDirMatch = configContent.match(/outDir\s*:\s*['"`]([^'"`]+)['"`]/);
-        if (outDirMatch) {
-          this.log(`📁 Found custom outDir for export: ${outDirMatch[1]}`);
-          return outDirMatch[1];
-        }
-        return 'out'; // Default for Next.js static export
-      }
-      
-      // If no static export, default build goes to .next
-      return '.next';
+      // The build always runs as a static export (see BuildConfigurer), which writes to 'out' -
+      // never deploy .next, which only holds server build artifacts
+      return 'out';
     } catch (error) {
       this.log(`⚠️  Could not parse ${configFile}, using default output directory`);
       return 'out';
     }
   }
 
+  findAngularConfig() {
+    if (!fs.existsSync(path.join(this.cwd, 'angular.json'))) {
+      return null;
+    }
+    
+    this.log('🅰️  Detected Angular project (angular.json)');
+    return {
+      framework: 'angular',
+      buildCommand: this.runScript('build'),
+      outputDir: this.parseAngularConfig() || 'dist',
+      configFile: 'angular.json'
+    };
+  }
+
+  parseAngularConfig() {
+    try {
+      const angularJson = JSON.parse(fs.readFileSync(path.join(this.cwd, 'angular.json'), 'utf8'));
+      const projectNames = Object.keys(angularJson.projects || {});
+      const projectName = angularJson.defaultProject || projectNames.find(name => angularJson.projects[name].projectType === 'application') || projectNames[0];
+      const buildTarget = angularJson.projects?.[projectName]?.architect?.build;
+      if (!buildTarget) {
+        return `dist/${projectName || ''}`.replace(/\/$/, '');
+      }
+      
+      // outputPath is a string, or { base, browser } with the application builder
+      const outputPath = buildTarget.options?.outputPath;
+      const base = typeof outputPath === 'object' ? outputPath.base : outputPath || `dist/${projectName}`;
+      
+      // The application builder (Angular 17+) puts the browser bundle in a "browser" subfolder
+      const usesApplicationBuilder = /:application$/.test(buildTarget.builder || '');
+      const browser = typeof outputPath === 'object' && outputPath.browser !== undefined ? outputPath.browser : 'browser';
+      const outputDir = usesApplicationBuilder && browser ? `${base}/${browser}` : base;
+      
+      this.log(`📁 Found Angular outputPath for ${projectName}: ${outputDir}`);
+      this.angularProject = projectName;
+      return outputDir;
+    } catch (error) {
+      this.log('⚠️  Could not parse angular.json, using default output directory');
+      return 'dist';
+    }
+  }
+
+  findSvelteKitConfig() {
+    if (!this.hasDependency('@sveltejs/kit')) {
+      return null;
+    }
+    
+    const configFile = this.findConfigFile(['svelte.config.js', 'svelte.config.mjs', 'svelte.config.ts']);
+    const configContent = configFile ? this.readConfigFile(configFile) : '';
+    this.log(`🧡 Detected SvelteKit project${configFile ? ` (${configFile})` : ''}`);
+    
+    if (!this.hasDependency('@sveltejs/adapter-static') && !configContent.includes('adapter-static')) {
+      this.log('⚠️  SvelteKit needs @sveltejs/adapter-static to produce a deployable static site');
+    }
+    
+    // adapter({ pages: 'public' }) - adapter-static defaults to build/
+    const pagesMatch = configContent.match(/adapter\s*\(\s*{[^}]*pages\s*:\s*['"`]([^'"`]+)['"`]/s);
+    if (pagesMatch) {
+      this.log(`📁 Found adapter-static pages dir: ${pagesMatch[1]}`);
+    }
+    
+    return {
+      framework: 'sveltekit',
+      buildCommand: this.runScript('build'),
+      outputDir: pagesMatch ? pagesMatch[1] : 'build',
+      configFile: configFile || 'svelte.config.js'
+    };
+  }
+
+  findNuxtConfig() {
+    const configFile = this.findConfigFile(['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs']);
+    if (!configFile && !this.hasDependency('nuxt')) {
+      return null;
+    }
+    
+    this.log(`💚 Detected Nuxt project${configFile ? ` (${configFile})` : ''}`);
+    
+    // Static hosting needs `nuxt generate`, not `nuxt build`
+    const generateScript = Object.keys(this.packageJson.scripts || {}).find(name => /\bnuxt generate\b/.test(this.packageJson.scripts[name]));
+    const isNuxt2 = /^[~^]?2\./.test(this.packageJson.dependencies?.nuxt || this.packageJson.devDependencies?.nuxt || '');
+    
+    return {
+      framework: 'nuxt',
+      buildCommand: generateScript ? this.runScript(generateScript) : this.execBinary('nuxt generate'),
+      outputDir: isNuxt2 ? 'dist' : '.output/public',
+      configFile: configFile
+    };
+  }
+
+  findRemixConfig() {
+    if (!this.hasDependency('@remix-run/dev')) {
+      return null;
+    }
+    
+    const configFile = this.findConfigFile(['vite.config.ts', 'vite.config.js', 'vite.config.mts', 'vite.config.mjs']);
+    const configContent = configFile ? this.readConfigFile(configFile) : '';
+    const isSpaMode = /\bssr\s*:\s*false\b/.test(configContent);
+    this.log(`💿 Detected Remix project${isSpaMode ? ' in SPA mode' : ''}${configFile ? ` (${configFile})` : ''}`);
+    
+    // SPA mode writes the client bundle and index.html to build/client
+    return {
+      framework: 'remix',
+      buildCommand: this.runScript('build'),
+      outputDir: 'build/client',
+      configFile: configFile,
+      spaMode: isSpaMode
+    };
+  }
+
+  findAstroConfig() {
+    const configFile = this.findConfigFile(['astro.config.mjs', 'astro.config.js', 'astro.config.ts', 'astro.config.mts', 'astro.config.cjs']);
+    
+    if (configFile || this.hasDependency('astro')) {
+      this.log(`🚀 Detected Astro project${configFile ? ` (${configFile})` : ''}`);
+      
+      // outDir: './build' at the top level of the config
+      const outDirMatch = configFile && this.readConfigFile(configFile).match(/outDir\s*:\s*['"`]([^'"`]+)['"`]/);
+      if (outDirMatch) {
+        this.log(`📁 Found custom outDir: ${outDirMatch[1]}`);
+      }
+      
+      return {
+        framework: 'astro',
+        buildCommand: this.runScript('build'),
+        outputDir: outDirMatch ? outDirMatch[1].replace(/^\.\//, '') : 'dist',
+        configFile: configFile
+      };
+    }
+    return null;
+  }
+
+  findGatsbyConfig() {
+    const configFile = this.findConfigFile(['gatsby-config.js', 'gatsby-config.ts', 'gatsby-config.mjs']);
+    
+    if (configFile || this.hasDependency('gatsby')) {
+      this.log(`🟣 Detected Gatsby project${configFile ? ` (${configFile})` : ''}`);
+      
+      // Gatsby always builds into public/
+      return {
+        framework: 'gatsby',
+        buildCommand: this.runScript('build'),
+        outputDir: 'public',
+        configFile: configFile
+      };
+    }
+    return null;
+  }
+
+  findDocusaurusConfig() {
+    const configFile = this.findConfigFile(['docusaurus.config.js', 'docusaurus.config.ts', 'docusaurus.config.mjs']);
+    
+    if (configFile || this.hasDependency('@docusaurus/core')) {
+      this.log(`🦖 Detected Docusaurus project${configFile ? ` (${configFile})` : ''}`);
+      
+      // docusaurus build --out-dir <dir>
+      const outDirMatch = this.packageJson.scripts?.build?.match(/--out-dir[=\s]+['"]?([^\s'"]+)/);
+      if (outDirMatch) {
+        this.log(`📁 Found custom --out-dir: ${outDirMatch[1]}`);
+      }
+      
+      return {
+        framework: 'docusaurus',
+        buildCommand: this.runScript('build'),
+        outputDir: outDirMatch ? outDirMatch[1] : 'build',
+        configFile: configFile
+      };
+    }
+    return null;
+  }
+
+  findEleventyConfig() {
+    const configFile = this.findConfigFile(['eleventy.config.js', 'eleventy.config.mjs', 'eleventy.config.cjs', '.eleventy.js']);
+    
+    if (configFile || this.hasDependency('@11ty/eleventy')) {
+      this.log(`🎈 Detected Eleventy project${configFile ? ` (${configFile})` : ''}`);
+      
+      const outputDir = this.parseEleventyOutput(configFile);
+      
+      return {
+        framework: 'eleventy',
+        buildCommand: this.runScript('build'),
+        outputDir: outputDir || '_site',
+        configFile: configFile
+      };
+    }
+    return null;
+  }
+
+  parseEleventyOutput(configFile) {
+    // eleventy --output=dist in the build script wins over the config file
+    const cliMatch = this.packageJson.scripts?.build?.match(/--output[=\s]+['"]?([^\s'"]+)/);
+    if (cliMatch) {
+      this.log(`📁 Found custom --output: ${cliMatch[1]}`);
+      return cliMatch[1];
+    }
+    
+    // dir: { output: 'dist' } returned from or exported by the config
+    const configMatch = configFile && this.readConfigFile(configFile).match(/dir\s*:\s*{[^}]*output\s*:\s*['"`]([^'"`]+)['"`]/s);
+    if (configMatch) {
+      this.log(`📁 Found custom output dir: ${configMatch[1]}`);
+      return configMatch[1];
+    }
+    
+    return '_site'; // Eleventy default
+  }
+
   findViteConfig() {
     const configFiles = ['vite.config.js', 'vite.config.ts', 'vitest.config.js', 'vitest.config.ts'];
     const configFile = configFiles.find(file => fs.existsSync(path.join(this.cwd, file)));
@@ -132,7 +431,7 @@ class BuildDetector {
       
       return {
         framework: 'vite',
-        buildCommand: 'npm run build',
+        buildCommand: this.runScript('build'),
         outputDir: outputDir || 'dist',
         configFile: configFile
       };
@@ -170,7 +469,7 @@ class BuildDetector {
       
       return {
         framework: 'react',
-        buildCommand: 'npm run build',
+        buildCommand: this.runScript('build'),
         outputDir: outputDir || 'build'
       };
     }
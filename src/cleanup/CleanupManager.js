@@ -1,9 +1,136 @@
-const { execSync } = require('child_process');
 const PromptUtil = require('../utils/prompt');
+const ArgsUtil = require('../utils/args');
+const GitHubClient = require('../api/GitHubClient');
+const GitHubUtil = require('../utils/github');
+const DeploymentLister = require('../list/DeploymentLister');
+const GitDeployer = require('../deploy/GitDeployer');
+const ConfigManager = require('../config/ConfigManager');
 
 class CleanupManager {
-  constructor(config) {
+  constructor(config, options = {}) {
     this.config = config;
+    this.dryRun = Boolean(options.dryRun);
+    this.allUsers = Boolean(options.allUsers);
+    this.policy = options.policy || null;
+  }
+
+  static resolvePolicy(config) {
+    // Command line > environment variable > ~/.ghd-config.json > default (older than 7 days)
+    const maxAge = ArgsUtil.getFlagValue('--max-age') ?? process.env.GHPD_MAX_AGE ?? config?.cleanupMaxAge ?? CleanupManager.DEFAULT_MAX_AGE;
+    const keep = ArgsUtil.getFlagValue('--keep') ?? process.env.GHPD_KEEP ?? config?.cleanupKeep ?? 0;
+    
+    const keepCount = Number(keep);
+    if (!Number.isInteger(keepCount) || keepCount < 0) {
+      throw new Error(`Invalid keep value '${keep}'. Use the number of newest deployments to keep per project`);
+    }
+    
+    const ageDisabled = maxAge === false || ['off', 'never', 'false'].includes(String(maxAge).toLowerCase());
+    return {
+      maxAge: ageDisabled ? null : DeploymentLister.parseDuration(maxAge),
+      maxAgeLabel: ageDisabled ? null : String(maxAge),
+      keep: keepCount,
+      pinned: config?.pinnedBranches || []
+    };
+  }
+
+  static describePolicy(policy) {
+    const rules = [];
+    if (policy.maxAge !== null) {
+      rules.push(`older than ${policy.maxAgeLabel}`);
+    }
+    if (policy.keep > 0) {
+      rules.push(policy.maxAge !== null ? `keeping the newest ${policy.keep} per project` : `beyond the newest ${policy.keep} per project`);
+    }
+    return rules.length > 0 ? rules.join(', ') : 'no retention rule';
+  }
+
+  static describeDeployment(deployment) {
+    // Deployment branch, or {publishBranch}/{project}/{branch} for a subdirectory mode folder
+    return deployment.path ? `${deployment.publishBranch}/${deployment.path}` : deployment.branch;
+  }
+
+  isOwnDeployment(deployment, currentUser) {
+    if (deployment.deployedBy) {
+      return deployment.deployedBy.toLowerCase() === currentUser.toLowerCase();
+    }
+    // Deployments from before deployedBy was recorded belong to you only in your personal repository
+    return (this.config.owner || '').toLowerCase() === currentUser.toLowerCase();
+  }
+
+  planCleanup(deployments, currentUser, now = Date.now()) {
+    // Every deployment branch with the rule that decides its fate, newest first; age is the
+    // last commit date, falling back to deploy-info.json and then the branch name
+    const policy = this.policy;
+    const sorted = deployments
+      .map(deployment => ({ ...deployment, date: deployment.lastCommitAt || deployment.deployedAt }))
+      .filter(deployment => deployment.date)
+      .sort((a, b) => b.date - a.date);
+    
+    const countPerProject = {};
+    return sorted.map(deployment => {
+      const decide = (remove, rule) => ({ ...deployment, delete: remove, rule });
+      
+      // Protections first, then the age limit; without one, keep acts as the limit
+      if (policy.pinned.includes(deployment.branch)) {
+        return decide(false, 'pinned');
+      }
+      // A folder is served as part of the publishing branch, which stays; only the folder goes
+      if (deployment.served && !deployment.path) {
+        return decide(false, 'served by GitHub Pages');
+      }
+      if (!this.allUsers && !this.isOwnDeployment(deployment, currentUser)) {
+        return decide(false, `deployed by ${deployment.deployedBy || 'an unknown user'} (--all-users to include)`);
+      }
+      
+      // Only deployments that could be deleted take up one of the keep slots
+      const rank = countPerProject[deployment.project] = (countPerProject[deployment.project] || 0) + 1;
+      if (policy.keep > 0 && rank <= policy.keep) {
+        return decide(false, `newest ${policy.keep} of ${deployment.project}`);
+      }
+      if (policy.maxAge !== null) {
+        return now - deployment.date.getTime() > policy.maxAge
+          ? decide(true, `older than ${policy.maxAgeLabel}`)
+          : decide(false, `newer than ${policy.maxAgeLabel}`);
+      }
+      if (policy.keep > 0) {
+        return decide(true, `beyond the newest ${policy.keep} of ${deployment.project}`);
+      }
+      return decide(false, 'no retention rule');
+    });
+  }
+
+  printPlan(plan) {
+    plan.forEach(deployment => {
+      const action = deployment.delete ? '🗑️  delete' : '✅ keep  ';
+      console.log(`   ${action}  ${CleanupManager.describeDeployment(deployment)}  (${deployment.date.toLocaleString()})  ${deployment.rule}`);
+    });
+  }
+
+  async removeFolders(folders, publishBranch, autoMode) {
+    // All folders go in a single commit on the publishing branch, through the same transport as deployments
+    const paths = folders.map(folder => folder.path);
+    const message = `Remove ${paths.length} old deployment${paths.length === 1 ? '' : 's'}\n\n${paths.map(folderPath => `- ${folderPath}`).join('\n')}`;
+    const gitDeployer = new GitDeployer(this.config, {}, process.cwd(), null, {}, false, {
+      transport: GitDeployer.resolveTransport(this.config),
+      commitAuthor: GitDeployer.resolveCommitAuthor(this.config, process.cwd()),
+      subdirectoryMode: true,
+      publishBranch
+    });
+    
+    try {
+      await gitDeployer.removePublishedFolders(paths, message);
+      if (!autoMode) {
+        paths.forEach(folderPath => console.log(`   ✅ Deleted: ${publishBranch}/${folderPath}`));
+      }
+      return paths.length;
+    } catch (error) {
+      if (!autoMode) {
+        console.log(`   ❌ Failed to delete folders from ${publishBranch}: ${error.message}`);
+      }
+      return 0;
+    } finally {
+      gitDeployer.cleanup();
+    }
   }
 
   async cleanupOldBranches(autoMode = false) {
@@ -11,111 +138,90 @@ class CleanupManager {
       console.log('❌ No configuration found. Please run setup first.');
       return;
     }
-
+    
     if (!autoMode) {
-      console.log('🧹 Cleaning up old deployment branches...\n');
+      console.log('🧹 Cleaning up old deployments...\n');
     }
     
     try {
-      const hostname = this.config.hostname;
-      const env = { ...process.env, GH_HOST: hostname };
-      
-      // Get all branches from the deployment repository
-      const branchesOutput = execSync(`gh api repos/${this.config.username}/${this.config.repository}/branches --paginate`, {
-        encoding: 'utf8',
-        env
-      });
+      const client = GitHubClient.forHost(this.config.hostname, this.config);
+      const policy = this.policy || (this.policy = CleanupManager.resolvePolicy(this.config));
       
-      const branches = JSON.parse(branchesOutput);
-      const oneWeekAgo = new Date();
-      oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
+      // Get all deployment branches with their deploy-info.json and last commit, the deployment folders of the
+      // publishing branch (subdirectory mode), and what Pages serves right now. Sizes aren't needed here,
+      // which saves reading every branch's tree
+      const lister = new DeploymentLister(this.config);
+      const branches = await client.paginate(`/repos/${this.config.owner}/${this.config.repository}/branches`);
+      const served = await lister.getServedSource();
+      const publishBranch = this.config.publishBranch || ConfigManager.DEFAULT_PUBLISH_BRANCH;
+      const branchDeployments = await lister.listBranchDeployments(branches, served, { commitDates: true, sizes: false });
+      const folderDeployments = branches.some(branch => branch.name === publishBranch) ? await lister.listFolderDeployments(served) : [];
+      const deployments = branchDeployments.concat(folderDeployments);
+      const currentUser = this.config.username || await GitHubUtil.getGitHubUsername(this.config.hostname, this.config);
       
-      let branchesToDelete = [];
+      const plan = this.planCleanup(deployments, currentUser);
+      const branchesToDelete = plan.filter(deployment => deployment.delete);
       
-      // Parse branch names to find ones with timestamps
-      branches.forEach(branch => {
-        const branchName = branch.name;
-        
-        // Skip main/master branches
-        if (branchName === 'main' || branchName === 'master') {
-          return;
-        }
-        
-        // Extract timestamp from branch name pattern: {project}-{timestamp}-{hash}
-        const timestampMatch = branchName.match(/-(\d{8}-\d{4})-[a-f0-9]{6}$/);
-        if (timestampMatch) {
-          const timestampStr = timestampMatch[1];
-          // Convert timestamp format: YYYYMMDD-HHMM to Date
-          const year = parseInt(timestampStr.slice(0, 4));
-          const month = parseInt(timestampStr.slice(4, 6)) - 1; // Month is 0-indexed
-          const day = parseInt(timestampStr.slice(6, 8));
-          const hour = parseInt(timestampStr.slice(9, 11));
-          const minute = parseInt(timestampStr.slice(11, 13));
-          
-          const branchDate = new Date(year, month, day, hour, minute);
-          
-          if (branchDate < oneWeekAgo) {
-            branchesToDelete.push({
-              name: branchName,
-              date: branchDate
-            });
-          }
-        }
-      });
+      if (this.dryRun) {
+        console.log(`📋 Retention: ${CleanupManager.describePolicy(policy)}; ${this.allUsers ? 'all users' : `deployments by ${currentUser}`}`);
+        this.printPlan(plan);
+        console.log(`\n🔍 Dry run: ${branchesToDelete.length} of ${plan.length} deployments would be deleted.`);
+        return;
+      }
       
       if (branchesToDelete.length === 0) {
         if (!autoMode) {
-          console.log('✅ No branches older than 1 week found.');
+          console.log(`✅ No deployments to delete (${CleanupManager.describePolicy(policy)}).`);
         }
         return;
       }
       
       if (!autoMode) {
-        console.log(`📋 Found ${branchesToDelete.length} branches older than 1 week:`);
+        console.log(`📋 Found ${branchesToDelete.length} deployments to delete:`);
         branchesToDelete.forEach(branch => {
-          console.log(`   - ${branch.name} (${branch.date.toLocaleDateString()})`);
+          console.log(`   - ${CleanupManager.describeDeployment(branch)} (${branch.date.toLocaleString()}, ${branch.rule})`);
         });
       }
       
       let shouldDelete = autoMode;
       
       if (!autoMode) {
-        const confirm = await PromptUtil.promptUser(
-          `\nDelete these ${branchesToDelete.length} old branches? (y/N): `,
-          'N'
+        shouldDelete = await PromptUtil.confirm(
+          `\nDelete these ${branchesToDelete.length} old deployments? (y/N): `
         );
-        shouldDelete = confirm.toLowerCase() === 'y' || confirm.toLowerCase() === 'yes';
       }
       
       if (shouldDelete) {
         if (autoMode) {
-          console.log(`🧹 Auto-cleanup: Deleting ${branchesToDelete.length} old branches...`);
+          console.log(`🧹 Auto-cleanup: Deleting ${branchesToDelete.length} old deployments...`);
         } else {
-          console.log('\n🗑️  Deleting old branches...');
+          console.log('\n🗑️  Deleting old deployments...');
         }
         
         let deletedCount = 0;
-        for (const branch of branchesToDelete) {
+        const foldersToDelete = branchesToDelete.filter(deployment => deployment.path);
+        if (foldersToDelete.length > 0) {
+          deletedCount += await this.removeFolders(foldersToDelete, publishBranch, autoMode);
+        }
+        
+        for (const branch of branchesToDelete.filter(deployment => !deployment.path)) {
           try {
-            execSync(`gh api repos/${this.config.username}/${this.config.repository}/git/refs/heads/${branch.name} -X DELETE`, {
-              stdio: 'ignore',
-              env
-            });
+            await client.request('DELETE', `/repos/${this.config.owner}/${this.config.repository}/git/refs/heads/${branch.branch}`);
             deletedCount++;
             if (!autoMode) {
-              console.log(`   ✅ Deleted: ${branch.name}`);
+              console.log(`   ✅ Deleted: ${branch.branch}`);
             }
           } catch (error) {
             if (!autoMode) {
-              console.log(`   ❌ Failed to delete: ${branch.name}`);
+              console.log(`   ❌ Failed to delete: ${branch.branch}`);
             }
           }
         }
         
         if (autoMode) {
-          console.log(`🎉 Auto-cleanup complete! Deleted ${deletedCount} old branches.`);
+          console.log(`🎉 Auto-cleanup complete! Deleted ${deletedCount} old deployments.`);
         } else {
-          console.log(`\n🎉 Cleanup complete! Deleted ${deletedCount} old branches.`);
+          console.log(`\n🎉 Cleanup complete! Deleted ${deletedCount} old deployments.`);
         }
       } else {
         console.log('🚫 Cleanup cancelled.');
@@ -127,4 +233,6 @@ class CleanupManager {
   }
 }
 
+CleanupManager.DEFAULT_MAX_AGE = '7d';
+
 module.exports = CleanupManager;
\ No newline at end of file
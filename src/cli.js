@@ -5,27 +5,82 @@ const path = require('path');
 const GitHubPagesDeployer = require('./GitHubPagesDeployer');
 const ConfigManager = require('./config/ConfigManager');
 const CleanupManager = require('./cleanup/CleanupManager');
+const DeploymentLister = require('./list/DeploymentLister');
+const PagesDeployer = require('./deploy/PagesDeployer');
+const PromptUtil = require('./utils/prompt');
+const ArgsUtil = require('./utils/args');
+const GitHubUtil = require('./utils/github');
 
 function showHelp() {
   console.log(`
-GitHub Enterprise Pages Auto Deploy
+GitHub Pages Auto Deploy (GitHub.com and GitHub Enterprise Server)
 
 Usage:
   github-pages-poc-deploy                Deploy current project
   github-pages-poc-deploy --debug        Deploy with detailed output
+  github-pages-poc-deploy --subdirectory Deploy into /{project}/{branch}/ of the publishing branch
   github-pages-poc-deploy --config       Set up or update configuration
   github-pages-poc-deploy --config --show   Show current configuration
   github-pages-poc-deploy --config --reset  Reset configuration
-  github-pages-poc-deploy --cleanup      Remove deployment branches older than 1 week
+  github-pages-poc-deploy --cleanup      Remove deployment branches older than 1 week (--max-age <7d>, --keep <n>)
   github-pages-poc-deploy --cleanup --auto-cleanup  Remove old branches without confirmation
+  github-pages-poc-deploy --cleanup --dry-run  Show what would be deleted, and which rule applies
+  github-pages-poc-deploy --cleanup --all-users  Include other users' deployments (shared repositories)
+  github-pages-poc-deploy --pin <branch> Never delete this branch in cleanup (--unpin <branch>)
+  github-pages-poc-deploy --serve        Build and preview locally at the Pages path (--port <n>)
+  github-pages-poc-deploy --check        Build and check links and assets, without deploying
+  github-pages-poc-deploy --list         List deployments (--project <name>, --mine, --older-than <7d>, --json)
+  github-pages-poc-deploy --activate <branch>  Serve an earlier deployment branch again
+  github-pages-poc-deploy --rollback     Serve the previously served deployment again
   github-pages-poc-deploy --help         Show this help
 
+Non-interactive options (each also readable from an environment variable):
+  --project <name>         Project name for branch naming        GHPD_PROJECT
+  --env <dir>              Environment directory under env/      GHPD_ENV
+  --repo <name>            Deployment repository name (setup)    GHPD_REPO
+  --host <hostname>        GitHub host when logged in to several  GHPD_HOST
+  --owner <user-or-org>    Deployment repository owner (setup)    GHPD_OWNER
+  --visibility <value>     public, private or internal (setup)    GHPD_VISIBILITY
+  --auto-cleanup / --no-auto-cleanup
+                           Enable or disable auto-cleanup         GHPD_AUTO_CLEANUP
+  --max-age <7d>           Cleanup: delete branches older than    GHPD_MAX_AGE
+                           this ("off" to disable)
+  --keep <n>               Cleanup: keep the newest n per project GHPD_KEEP
+  --subdirectory / --no-subdirectory
+                           Enable or disable subdirectory mode    GHPD_SUBDIRECTORY
+  --package <path|name>    Workspace package to deploy (monorepo) GHPD_PACKAGE
+  --branch-template <tpl>  Branch name, e.g. "{project}-{branch}-{sha}-{random}"
+                           ({pr}, {user}, {timestamp} also)       GHPD_BRANCH_TEMPLATE
+  --dir <path>             Deploy an existing directory, no build GHPD_DIR
+  --no-cache               Rebuild even if sources are unchanged  GHPD_CACHE=0
+  --package-manager <pm>   npm, pnpm, yarn or bun                 GHPD_PACKAGE_MANAGER
+  --install                Frozen-lockfile install before build   GHPD_INSTALL
+  --rewrite-paths / --no-rewrite-paths
+                           Prefix root-relative URLs (generic)    GHPD_REWRITE_PATHS
+  --link-check <mode>      warn, fail or off (before pushing)    GHPD_LINK_CHECK
+  --wait                   Wait until the Pages site is live      GHPD_WAIT
+  --wait-timeout <10m>     Give up waiting after this long        GHPD_WAIT_TIMEOUT
+  --spa / --no-spa         Add or skip the single-page app 404.html GHPD_SPA
+  --storybook / --no-storybook
+                           Deploy the Storybook or the app        GHPD_STORYBOOK
+  --transport <git|api>    Push with git or the Git Data API      GHPD_TRANSPORT
+  --commit-author <id>     "Name <email>" for deploy commits      GHPD_COMMIT_AUTHOR
+  --upload-concurrency <n> Parallel uploads for --transport api   GHPD_UPLOAD_CONCURRENCY
+  --yes, -y                Accept defaults and confirm actions    GHPD_YES
+  --non-interactive        Never prompt; fail listing missing     GHPD_NON_INTERACTIVE
+                           values instead
+
   ghpd                     Short form of github-pages-poc-deploy
   ghpd --debug             Short form with debug mode
   ghpd --config            Short form config management
   ghpd --cleanup           Short form cleanup
 
+Authentication uses GH_TOKEN/GITHUB_TOKEN (GH_ENTERPRISE_TOKEN on Enterprise Server),
+a "token" in ~/.ghd-config.json, or the GitHub CLI login - gh itself is optional.
+
 Configuration is stored in: ~/.ghd-config.json
+Shared project settings can be checked in as ghpd.config.json (or a "ghpd" key in
+package.json); they take precedence over ~/.ghd-config.json.
 
 Debug mode (--debug or -d) shows detailed output and error information.
 Normal mode shows minimal Miami-themed logging for a cleaner experience.
@@ -34,7 +89,13 @@ First run will automatically prompt for configuration setup.
 Project names are stored per directory for consistent branch naming.
 
 Auto-cleanup is enabled by default to automatically remove branches older than 1 week
-after each deployment. This can be disabled during setup or via --config.
+after each deployment. This can be disabled during setup or via --config. The retention
+rules ("cleanupMaxAge", "cleanupKeep") can be changed in ~/.ghd-config.json. Pinned branches
+and the branch GitHub Pages currently serves are never deleted.
+
+Subdirectory mode (--subdirectory, or enable it via --config) commits each deployment
+into a /{project}/{branch}/ folder of one publishing branch (gh-pages), so several
+previews stay live at their own URLs at the same time.
 `);
 }
 
@@ -60,7 +121,11 @@ async function handleConfigCommand(args) {
       try {
         const GitHubPagesDeployer = require('./GitHubPagesDeployer');
         const deployer = new GitHubPagesDeployer();
-        await configManager.setupConfig(deployer.enterpriseHostname, deployer.packageJson, deployer.cwd);
+        const hostname = await GitHubUtil.checkAuthentication();
+        if (!hostname) {
+          process.exit(1);
+        }
+        await configManager.setupConfig(hostname, deployer.packageJson, deployer.cwd);
         console.log('✅ Configuration updated successfully!');
       } catch (error) {
         console.error('❌ Configuration setup failed:', error.message);
@@ -72,7 +137,7 @@ async function handleConfigCommand(args) {
 
 async function handleCleanupCommand(args) {
   const configManager = new ConfigManager();
-  const cleanupManager = new CleanupManager(configManager.config);
+  const cleanupManager = new CleanupManager(configManager.config, { dryRun: args.includes('--dry-run'), allUsers: args.includes('--all-users') });
   const autoMode = args.includes('--auto-cleanup');
   
   try {
@@ -83,15 +148,199 @@ async function handleCleanupCommand(args) {
   }
 }
 
+async function handlePinCommand(args) {
+  const configManager = new ConfigManager();
+  const config = configManager.config;
+  if (!config) {
+    console.log('❌ No configuration found. Please run setup first.');
+    process.exit(1);
+  }
+  
+  const unpin = ArgsUtil.hasFlag('--unpin', args);
+  const branch = ArgsUtil.getFlagValue(unpin ? '--unpin' : '--pin', args);
+  const pinned = config.pinnedBranches || [];
+  
+  if (!branch) {
+    console.log(pinned.length > 0 ? `📌 Pinned branches:\n${pinned.map(name => `   ${name}`).join('\n')}` : 'No pinned branches.');
+    return;
+  }
+  
+  try {
+    if (unpin) {
+      if (!pinned.includes(branch)) {
+        console.log(`⚠️  ${branch} is not pinned.`);
+        return;
+      }
+      config.pinnedBranches = pinned.filter(name => name !== branch);
+      configManager.saveConfig(config);
+      console.log(`📌 Unpinned ${branch}; cleanup may delete it again.`);
+      return;
+    }
+    
+    // A deployment branch, or the branch name of a /{project}/{branch}/ folder in subdirectory mode
+    const lister = new DeploymentLister(config, args.includes('--debug') || args.includes('-d'));
+    if (!await lister.getBranchDeployment(branch) && !(await lister.listFolderDeployments(null)).some(deployment => deployment.branch === branch)) {
+      throw new Error(`Deployment '${branch}' not found in ${config.owner}/${config.repository}`);
+    }
+    if (!pinned.includes(branch)) {
+      config.pinnedBranches = [...pinned, branch];
+      configManager.saveConfig(config);
+    }
+    console.log(`📌 Pinned ${branch}; cleanup will never delete it.`);
+  } catch (error) {
+    console.error('❌ Pinning failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleListCommand(args) {
+  const configManager = new ConfigManager();
+  const config = configManager.config;
+  if (!config) {
+    console.log('❌ No configuration found. Please run setup first.');
+    process.exit(1);
+  }
+  
+  try {
+    const olderThan = ArgsUtil.getFlagValue('--older-than');
+    const filters = {
+      project: ArgsUtil.getFlagValue('--project'),
+      // deploy-info.json records who deployed; compare (case-insensitively) with the account the token belongs to
+      mine: args.includes('--mine') ? await GitHubUtil.getGitHubUsername(config.hostname, config) : undefined,
+      olderThan: olderThan !== undefined ? DeploymentLister.parseDuration(olderThan) : undefined
+    };
+    
+    const lister = new DeploymentLister(config, args.includes('--debug') || args.includes('-d'));
+    const deployments = DeploymentLister.filter(await lister.listDeployments(), filters);
+    
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(deployments, null, 2));
+    } else {
+      DeploymentLister.printTable(deployments);
+    }
+  } catch (error) {
+    console.error('❌ Listing deployments failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function getActivatableDeployment(lister, config, branch) {
+  const deployment = await lister.getBranchDeployment(branch);
+  if (!deployment) {
+    throw new Error(`Branch '${branch}' not found in ${config.owner}/${config.repository}`);
+  }
+  
+  // The subdirectory-mode publishing branch holds many deployments, so it has no deploy-info.json of its own
+  const publishBranch = config.publishBranch || ConfigManager.DEFAULT_PUBLISH_BRANCH;
+  if (!deployment.info && branch !== publishBranch) {
+    throw new Error(`Branch '${branch}' has no deploy-info.json, so it is not a deployment`);
+  }
+  return deployment;
+}
+
+async function activateDeployment(config, deployment, debugMode, options = {}) {
+  const pagesDeployer = new PagesDeployer(config, { name: deployment.project }, deployment.branch, debugMode);
+  const pagesUrl = await pagesDeployer.activate(deployment.deployedAt ? deployment.deployedAt.toISOString() : null, options);
+  
+  console.log(`✅ GitHub Pages now serves ${deployment.branch}`);
+  console.log(`🔗 Preview URL: ${pagesUrl}`);
+  console.log('   Pages needs a minute to rebuild before the change is visible.');
+}
+
+async function handleActivateCommand(args) {
+  const configManager = new ConfigManager();
+  const config = configManager.config;
+  if (!config) {
+    console.log('❌ No configuration found. Please run setup first.');
+    process.exit(1);
+  }
+  
+  const branch = ArgsUtil.getFlagValue('--activate');
+  if (!branch) {
+    console.log('❌ Missing branch name. Usage: ghpd --activate <branch> (see ghpd --list)');
+    process.exit(1);
+  }
+  
+  try {
+    const debugMode = args.includes('--debug') || args.includes('-d');
+    const lister = new DeploymentLister(config, debugMode);
+    const deployment = await getActivatableDeployment(lister, config, branch);
+    await activateDeployment(config, deployment, debugMode);
+  } catch (error) {
+    console.error('❌ Activation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleRollbackCommand(args) {
+  const configManager = new ConfigManager();
+  const config = configManager.config;
+  if (!config) {
+    console.log('❌ No configuration found. Please run setup first.');
+    process.exit(1);
+  }
+  
+  try {
+    const debugMode = args.includes('--debug') || args.includes('-d');
+    const lister = new DeploymentLister(config, debugMode);
+    const served = await lister.getServedSource();
+    
+    // Go back past the branch served now, skipping entries whose branch has been cleaned up since
+    const history = config.pagesHistory || [];
+    let index = served ? history.indexOf(served.branch) + 1 : 0;
+    let deployment = null;
+    for (; index < history.length && !deployment; index++) {
+      try {
+        deployment = await getActivatableDeployment(lister, config, history[index]);
+      } catch (error) {
+        console.log(`⚠️  Skipping ${history[index]}: ${error.message}`);
+      }
+    }
+    if (!deployment) {
+      throw new Error(`No earlier deployment to roll back to (the last ${PagesDeployer.HISTORY_SIZE} served branches are remembered locally)`);
+    }
+    
+    const deployedAt = deployment.deployedAt ? ` (deployed ${deployment.deployedAt.toLocaleString()})` : '';
+    const confirmed = await PromptUtil.confirm(`Roll GitHub Pages back from ${served?.branch || 'nothing'} to ${deployment.branch}${deployedAt}? (y/N): `);
+    if (!confirmed) {
+      console.log('🚫 Rollback cancelled.');
+      return;
+    }
+    
+    // Drop the newer entries, so a second --rollback goes back another step
+    config.pagesHistory = history.slice(index - 1);
+    await activateDeployment(config, deployment, debugMode, { rollback: true });
+  } catch (error) {
+    console.error('❌ Rollback failed:', error.message);
+    process.exit(1);
+  }
+}
+
 async function main() {
   const args = process.argv.slice(2);
   
   if (args.includes('--cleanup')) {
     await handleCleanupCommand(args);
+  } else if (ArgsUtil.hasFlag('--pin', args) || ArgsUtil.hasFlag('--unpin', args)) {
+    await handlePinCommand(args);
+  } else if (args.includes('--list')) {
+    await handleListCommand(args);
+  } else if (ArgsUtil.hasFlag('--activate', args)) {
+    await handleActivateCommand(args);
+  } else if (args.includes('--rollback')) {
+    await handleRollbackCommand(args);
   } else if (args.includes('--config') || args.includes('-c')) {
     await handleConfigCommand(args);
   } else if (args.includes('--help') || args.includes('-h')) {
     showHelp();
+  } else if (args.includes('--serve')) {
+    // Build and preview locally under the Pages URL layout
+    const deployer = new GitHubPagesDeployer();
+    await deployer.serve();
+  } else if (args.includes('--check')) {
+    // Build and check links/assets without deploying
+    const deployer = new GitHubPagesDeployer();
+    await deployer.check();
   } else {
     // Normal deployment
     const deployer = new GitHubPagesDeployer();
@@ -105,4 +354,4 @@ main().catch(error => {
   process.exit(1);
 });
 
-module.exports = { main, showHelp, handleConfigCommand, handleCleanupCommand };
\ No newline at end of file
+module.exports = { main, showHelp, handleConfigCommand, handleCleanupCommand, handlePinCommand, handleListCommand, handleActivateCommand, handleRollbackCommand };
\ No newline at end of file
@@ -3,18 +3,28 @@ const path = require('path');
 const os = require('os');
 const PromptUtil = require('../utils/prompt');
 const GitHubUtil = require('../utils/github');
-const { execSync } = require('child_process');
+const ArgsUtil = require('../utils/args');
+const GitHubClient = require('../api/GitHubClient');
+
+// Project config files already warned about, so several ConfigManager instances don't repeat it
+const warnedProjectConfigs = new Set();
 
 class ConfigManager {
-  constructor() {
+  constructor(cwd = process.cwd()) {
     this.configPath = path.join(os.homedir(), '.ghd-config.json');
     this.config = this.loadConfig();
+    this.projectConfig = this.loadProjectConfig(cwd);
   }
 
   loadConfig() {
     try {
       if (fs.existsSync(this.configPath)) {
         const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        
+        // Configs created before owner support always used the authenticated user's account
+        if (!config.owner) {
+          config.owner = config.username;
+        }
         return config;
       }
     } catch (error) {
@@ -23,6 +33,106 @@ class ConfigManager {
     return null;
   }
 
+  loadProjectConfig(cwd) {
+    // Project-level settings checked into the source repo: ghpd.config.json, or a "ghpd" key in package.json
+    const configFilePath = path.join(cwd, ConfigManager.PROJECT_CONFIG_FILE);
+    const packageJsonPath = path.join(cwd, 'package.json');
+    let values = null;
+    let source = null;
+    
+    try {
+      if (fs.existsSync(configFilePath)) {
+        values = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+        source = configFilePath;
+      } else if (fs.existsSync(packageJsonPath)) {
+        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        if (packageJson.ghpd) {
+          values = packageJson.ghpd;
+          source = `${packageJsonPath} ("ghpd" key)`;
+        }
+      }
+    } catch (error) {
+      throw new Error(`Could not read project configuration: ${error.message}`);
+    }
+    
+    if (!values) {
+      return null;
+    }
+    
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`Project configuration in ${source} must be a JSON object`);
+    }
+    
+    const unknownKeys = Object.keys(values).filter(key => !ConfigManager.PROJECT_SETTINGS.includes(key));
+    if (unknownKeys.length > 0 && !warnedProjectConfigs.has(source)) {
+      warnedProjectConfigs.add(source);
+      console.log(`⚠️  Ignoring unknown project settings in ${source}: ${unknownKeys.join(', ')}`);
+    }
+    
+    return { values, source };
+  }
+
+  getProjectSetting(key) {
+    return this.projectConfig?.values[key];
+  }
+
+  getSettingDefinitions(cwd) {
+    // Settings with a command line flag and environment variable, and where ~/.ghd-config.json keeps them
+    const projectKey = this.getProjectKey(cwd);
+    return [
+      { key: 'projectName', flag: '--project', envVar: 'GHPD_PROJECT', userValue: this.config?.projectNames?.[projectKey] },
+      { key: 'env', flag: '--env', envVar: 'GHPD_ENV', userValue: this.config?.projectEnvironments?.[projectKey] },
+      { key: 'autoCleanup', flag: '--auto-cleanup', envVar: 'GHPD_AUTO_CLEANUP', userValue: this.config?.autoCleanup, boolean: true },
+      { key: 'framework' },
+      { key: 'buildCommand' },
+      { key: 'outputDir' },
+      { key: 'packageManager', flag: '--package-manager', envVar: 'GHPD_PACKAGE_MANAGER' },
+      { key: 'installCommand' },
+      { key: 'spa', flag: '--spa', envVar: 'GHPD_SPA', boolean: true },
+      { key: 'rewritePaths', flag: '--rewrite-paths', envVar: 'GHPD_REWRITE_PATHS', boolean: true },
+      { key: 'linkCheck', flag: '--link-check', envVar: 'GHPD_LINK_CHECK' },
+      { key: 'branchTemplate', flag: '--branch-template', envVar: 'GHPD_BRANCH_TEMPLATE', userValue: this.config?.branchTemplate }
+    ];
+  }
+
+  resolveSetting({ key, flag, envVar, userValue, boolean }) {
+    // Highest precedence first: command line > environment variable > project config file > user config (~/.ghd-config.json) > default
+    const flagValue = flag && (boolean ? ArgsUtil.getBooleanFlag(flag) : ArgsUtil.getFlagValue(flag));
+    if (flagValue !== undefined) {
+      return { key, value: flagValue, source: `command line (${flag})` };
+    }
+    
+    const envValue = envVar && (boolean ? ArgsUtil.parseBoolean(process.env[envVar]) : process.env[envVar]);
+    if (envValue !== undefined && envValue !== '') {
+      return { key, value: envValue, source: `environment variable ${envVar}` };
+    }
+    
+    const projectValue = this.getProjectSetting(key);
+    if (projectValue !== undefined) {
+      return { key, value: projectValue, source: this.projectConfig.source };
+    }
+    
+    if (userValue !== undefined) {
+      return { key, value: userValue, source: this.configPath };
+    }
+    
+    return { key, value: undefined, source: flag ? 'not set' : 'auto-detected' };
+  }
+
+  getSetting(key, cwd) {
+    const definition = this.getSettingDefinitions(cwd).find(setting => setting.key === key);
+    return this.resolveSetting(definition).value;
+  }
+
+  describeSettings(cwd) {
+    // Effective value and origin of each setting
+    return this.getSettingDefinitions(cwd).map(definition => this.resolveSetting(definition));
+  }
+
+  isAutoCleanupEnabled(cwd = process.cwd()) {
+    return Boolean(this.getSetting('autoCleanup', cwd));
+  }
+
   saveConfig(config) {
     try {
       fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
@@ -55,8 +165,8 @@ class ConfigManager {
   }
 
   getProjectName(cwd) {
-    const projectKey = this.getProjectKey(cwd);
-    return this.config?.projectNames?.[projectKey];
+    // --project / GHPD_PROJECT, then the name shared in the project config file, then the per-directory one
+    return this.getSetting('projectName', cwd) || undefined;
   }
 
   saveProjectName(cwd, projectName) {
@@ -73,49 +183,82 @@ class ConfigManager {
   async setupConfig(hostname, packageJson, cwd) {
     console.log('🔧 First time setup - configuring deployment repository...\n');
     
-    const username = GitHubUtil.getGitHubUsername(hostname);
+    const username = await GitHubUtil.getGitHubUsername(hostname, this.config);
     const defaultRepoName = 'gh-pages-previews';
     
     console.log(`We'll create a repository to store all your preview deployments.`);
     console.log(`Each deployment will be a separate branch in this repository.`);
-    console.log(`🏢 GitHub Enterprise Server: ${hostname}\n`);
+    console.log(`🏢 ${GitHubUtil.describeHost(hostname)}\n`);
     
     // Ask for project name
     const currentProjectName = packageJson.name || path.basename(cwd);
-    const projectName = await PromptUtil.promptUser(
-      `Project name for branch naming (default: ${currentProjectName}): `,
-      currentProjectName
-    );
+    const projectName = await PromptUtil.resolveInput({
+      label: 'Project name',
+      question: `Project name for branch naming (default: ${currentProjectName}): `,
+      flag: '--project',
+      envVar: 'GHPD_PROJECT',
+      configuredValue: this.getProjectSetting('projectName'),
+      defaultValue: currentProjectName
+    });
     
     // Ask for repository name
-    const repoName = await PromptUtil.promptUser(
-      `Repository name (default: ${defaultRepoName}): `,
-      defaultRepoName
-    );
+    const repoName = await PromptUtil.resolveInput({
+      label: 'Repository name',
+      question: `Repository name (default: ${defaultRepoName}): `,
+      flag: '--repo',
+      envVar: 'GHPD_REPO',
+      defaultValue: defaultRepoName
+    });
+    
+    // Ask for the owner (user or organization) of the deployment repository
+    const owner = await PromptUtil.resolveInput({
+      label: 'Repository owner',
+      question: `Repository owner - your username or an organization (default: ${username}): `,
+      flag: '--owner',
+      envVar: 'GHPD_OWNER',
+      defaultValue: username
+    });
+    
+    // Ask for repository visibility, used only when the repository has to be created
+    const visibility = (await PromptUtil.resolveInput({
+      label: 'Repository visibility',
+      question: `Repository visibility - ${ConfigManager.REPO_VISIBILITIES.join(', ')} (default: public): `,
+      flag: '--visibility',
+      envVar: 'GHPD_VISIBILITY',
+      defaultValue: 'public'
+    })).toLowerCase();
+    
+    if (!ConfigManager.REPO_VISIBILITIES.includes(visibility)) {
+      throw new Error(`Invalid repository visibility '${visibility}'. Use one of: ${ConfigManager.REPO_VISIBILITIES.join(', ')}`);
+    }
     
     // Ask for auto-cleanup preference
-    const autoCleanup = await PromptUtil.promptUser(
-      `Enable automatic cleanup of branches older than 1 week? (Y/n): `,
-      'Y'
-    );
+    const autoCleanup = await PromptUtil.resolveBooleanInput({
+      question: `Enable automatic cleanup of branches older than 1 week? (Y/n): `,
+      flag: '--auto-cleanup',
+      envVar: 'GHPD_AUTO_CLEANUP',
+      defaultValue: true
+    });
     
     // Check if repo already exists
-    const repoExists = await GitHubUtil.checkRepoExists(hostname, username, repoName);
+    const repoExists = await GitHubUtil.checkRepoExists(hostname, owner, repoName, this.config);
     
     if (repoExists) {
-      console.log(`✅ Repository ${username}/${repoName} already exists, will use it.`);
+      console.log(`✅ Repository ${owner}/${repoName} already exists, will use it.`);
     } else {
-      console.log(`🚀 Creating repository ${username}/${repoName}...`);
-      await this.createDeploymentRepo(hostname, username, repoName);
+      console.log(`🚀 Creating ${visibility} repository ${owner}/${repoName}...`);
+      await this.createDeploymentRepo(hostname, owner, repoName, visibility);
     }
     
     const config = {
       username,
+      owner,
       repository: repoName,
+      visibility,
       hostname: hostname,
       createdAt: new Date().toISOString(),
       projectNames: {},
-      autoCleanup: autoCleanup.toLowerCase() === 'y' || autoCleanup.toLowerCase() === 'yes'
+      autoCleanup
     };
     
     // Store project name for this specific project
@@ -131,29 +274,28 @@ class ConfigManager {
     return config;
   }
 
-  async createDeploymentRepo(hostname, username, repoName) {
+  async createDeploymentRepo(hostname, owner, repoName, visibility = 'public') {
     try {
       if (!hostname) {
-        throw new Error('No enterprise hostname configured');
+        throw new Error('No GitHub hostname configured');
       }
       
-      // Use GH_HOST environment variable for enterprise operations
-      const env = { ...process.env, GH_HOST: hostname };
+      const client = GitHubClient.forHost(hostname, this.config);
+      
+      // Organization repositories are created under /orgs/{org}, personal ones under /user
+      const ownerAccount = await client.request('GET', `/users/${owner}`);
+      const createPath = ownerAccount.type === 'Organization' ? `/orgs/${owner}/repos` : '/user/repos';
       
       // Create the repository
-      execSync(`gh repo create ${repoName} --public --description "Auto-deployed previews from gh-pages-auto-deploy"`, { 
-        stdio: 'inherit',
-        env
+      await client.request('POST', createPath, {
+        name: repoName,
+        description: 'Auto-deployed previews from gh-pages-auto-deploy',
+        private: visibility !== 'public',
+        visibility
       });
       
-      // Clone it to set up initial structure
-      const tempDir = path.join(os.tmpdir(), `setup-${Date.now()}`);
-      const repoUrl = `https://${hostname}/${username}/${repoName}.git`;
-      
-      execSync(`git clone ${repoUrl} ${tempDir}`);
-      
       // Create initial README
-      const pagesBaseUrl = `https://${hostname}/pages/${username}/${repoName}`;
+      const pagesBaseUrl = GitHubUtil.getPagesBaseUrl(hostname, owner, repoName);
         
       const readmeContent = `# Preview Deployments
 
@@ -167,18 +309,15 @@ Each branch represents a different deployment:
 ## Branches
 This will be updated automatically as you create new deployments.
 
-## GitHub Enterprise Server
-This repository is configured for GitHub Enterprise Server: ${hostname}
+## Host
+This repository is configured for ${GitHubUtil.describeHost(hostname)}
 `;
       
-      fs.writeFileSync(path.join(tempDir, 'README.md'), readmeContent);
-      
-      execSync('git add README.md', { cwd: tempDir });
-      execSync('git commit -m "Initial setup for preview deployments"', { cwd: tempDir });
-      execSync('git push origin main', { cwd: tempDir });
-      
-      // Cleanup
-      fs.rmSync(tempDir, { recursive: true, force: true });
+      // Committing through the contents API also creates the default branch
+      await client.request('PUT', `/repos/${owner}/${repoName}/contents/README.md`, {
+        message: 'Initial setup for preview deployments',
+        content: Buffer.from(readmeContent).toString('base64')
+      });
       
     } catch (error) {
       throw new Error(`Failed to create deployment repository: ${error.message}`);
@@ -189,36 +328,59 @@ This repository is configured for GitHub Enterprise Server: ${hostname}
     console.log('🔧 Updating configuration...\n');
     console.log(`Current project name: ${this.getProjectName(cwd) || 'Not set'}`);
     console.log(`Auto-cleanup enabled: ${this.config.autoCleanup ? 'Yes' : 'No'}`);
+    console.log(`Subdirectory mode enabled: ${this.config.subdirectoryMode ? 'Yes' : 'No'}`);
     
     const defaultProjectName = this.getProjectName(cwd) || packageJson.name || path.basename(cwd);
-    const projectName = await PromptUtil.promptUser(
-      `Project name for branch naming (default: ${defaultProjectName}): `,
-      defaultProjectName
-    );
+    const projectName = await PromptUtil.resolveInput({
+      label: 'Project name',
+      question: `Project name for branch naming (default: ${defaultProjectName}): `,
+      flag: '--project',
+      envVar: 'GHPD_PROJECT',
+      configuredValue: this.getProjectSetting('projectName'),
+      defaultValue: defaultProjectName
+    });
+    
+    const autoCleanup = await PromptUtil.resolveBooleanInput({
+      question: `Enable automatic cleanup of branches older than 1 week? (${this.config.autoCleanup ? 'Y/n' : 'y/N'}): `,
+      flag: '--auto-cleanup',
+      envVar: 'GHPD_AUTO_CLEANUP',
+      defaultValue: Boolean(this.config.autoCleanup)
+    });
     
-    const currentAutoCleanup = this.config.autoCleanup ? 'Y' : 'n';
-    const autoCleanup = await PromptUtil.promptUser(
-      `Enable automatic cleanup of branches older than 1 week? (Y/n): `,
-      currentAutoCleanup
-    );
+    const subdirectoryMode = await PromptUtil.resolveBooleanInput({
+      question: `Deploy into /{project}/{branch}/ folders of a single publishing branch so previews stay live side by side? (${this.config.subdirectoryMode ? 'Y/n' : 'y/N'}): `,
+      flag: '--subdirectory',
+      envVar: 'GHPD_SUBDIRECTORY',
+      defaultValue: Boolean(this.config.subdirectoryMode)
+    });
     
     this.saveProjectName(cwd, projectName);
-    this.config.autoCleanup = autoCleanup.toLowerCase() === 'y' || autoCleanup.toLowerCase() === 'yes';
+    this.config.autoCleanup = autoCleanup;
+    this.config.subdirectoryMode = subdirectoryMode;
+    if (this.config.subdirectoryMode && !this.config.publishBranch) {
+      this.config.publishBranch = ConfigManager.DEFAULT_PUBLISH_BRANCH;
+    }
     this.saveConfig(this.config);
     
     console.log(`📛 Project name "${projectName}" updated for this repository`);
     console.log(`🧹 Auto-cleanup ${this.config.autoCleanup ? 'enabled' : 'disabled'}`);
+    console.log(`📂 Subdirectory mode ${this.config.subdirectoryMode ? `enabled (publishing branch: ${this.config.publishBranch})` : 'disabled'}`);
     console.log('✅ Configuration updated successfully!');
   }
 
-  showConfig() {
+  showConfig(cwd = process.cwd()) {
     console.log('📋 Current configuration:');
     if (this.config) {
       const config = { ...this.config };
+      if (config.token) {
+        config.token = '********';
+      }
       
-      console.log(`🏢 Repository: ${config.username}/${config.repository}`);
-      console.log(`🌐 Enterprise Server: ${config.hostname}`);
+      console.log(`🏢 Repository: ${config.owner}/${config.repository}${config.visibility ? ` (${config.visibility})` : ''}`);
+      console.log(`👤 User: ${config.username}`);
+      console.log(`🌐 Host: ${config.hostname}`);
       console.log(`🧹 Auto-cleanup: ${config.autoCleanup ? 'Enabled' : 'Disabled'}`);
+      console.log(`📂 Subdirectory mode: ${config.subdirectoryMode ? `Enabled (${config.publishBranch || ConfigManager.DEFAULT_PUBLISH_BRANCH})` : 'Disabled'}`);
       console.log(`📅 Created: ${new Date(config.createdAt).toLocaleDateString()}`);
       
       if (config.projectNames && Object.keys(config.projectNames).length > 0) {
@@ -233,6 +395,13 @@ This repository is configured for GitHub Enterprise Server: ${hostname}
     } else {
       console.log('No configuration found. Run without --config to set up.');
     }
+    
+    console.log(`\n📁 Project configuration: ${this.projectConfig ? this.projectConfig.source : `none (add ${ConfigManager.PROJECT_CONFIG_FILE} or a "ghpd" key in package.json)`}`);
+    console.log('⚙️  Effective settings for this directory:');
+    this.describeSettings(cwd).forEach(({ key, value, source }) => {
+      const displayValue = value === undefined ? '-' : JSON.stringify(value);
+      console.log(`   ${key.padEnd(14)} ${displayValue.padEnd(24)} ← ${source}`);
+    });
   }
 
   resetConfig() {
@@ -245,4 +414,15 @@ This repository is configured for GitHub Enterprise Server: ${hostname}
   }
 }
 
+// Settings that may be set in ghpd.config.json or the "ghpd" key of package.json
+ConfigManager.PROJECT_CONFIG_FILE = 'ghpd.config.json';
+ConfigManager.PROJECT_SETTINGS = ['projectName', 'buildCommand', 'outputDir', 'framework', 'env', 'autoCleanup', 'packageManager', 'installCommand', 'spa', 'rewritePaths', 'linkCheck', 'branchTemplate'];
+
+// Values of the REST API's `visibility` field when creating a repository; `private` is sent as well, true for
+// anything but public (internal requires an enterprise account)
+ConfigManager.REPO_VISIBILITIES = ['public', 'private', 'internal'];
+
+// Long-lived branch that holds every deployment when subdirectory mode is enabled
+ConfigManager.DEFAULT_PUBLISH_BRANCH = 'gh-pages';
+
 module.exports = ConfigManager;
\ No newline at end of file
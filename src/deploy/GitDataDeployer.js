@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const FileUtil = require('../utils/file');
+const GitUtil = require('../utils/git');
+const GitHubClient = require('../api/GitHubClient');
+
+// Runs fn over items with at most `limit` calls in flight, preserving result order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+class GitDataDeployer {
+  constructor(config, debugMode = false, options = {}) {
+    this.config = config;
+    this.debugMode = debugMode;
+    this.concurrency = options.concurrency || 8;
+    this.author = options.author || GitUtil.FALLBACK_IDENTITY;
+    this.client = GitHubClient.forHost(config.hostname, config);
+    this.repoPath = `/repos/${config.owner}/${config.repository}`;
+  }
+
+  log(message) {
+    if (this.debugMode) {
+      console.log(message);
+    }
+  }
+
+  async uploadDirectory(dir) {
+    const files = FileUtil.listFiles(dir);
+    this.log(`📤 Uploading ${files.length} files (${this.concurrency} at a time)...`);
+
+    let uploaded = 0;
+    return mapWithConcurrency(files, this.concurrency, async (file) => {
+      const filePath = path.join(dir, file);
+      const content = fs.readFileSync(filePath);
+      const blob = await this.client.request('POST', `${this.repoPath}/git/blobs`, {
+        content: content.toString('base64'),
+        encoding: 'base64'
+      });
+
+      uploaded++;
+      if (uploaded % 100 === 0) {
+        this.log(`   ${uploaded}/${files.length} files uploaded`);
+      }
+
+      // Keep the executable bit, like a git commit of the same files would
+      const mode = fs.statSync(filePath).mode & 0o111 ? '100755' : '100644';
+      return { path: file, mode, type: 'blob', sha: blob.sha };
+    });
+  }
+
+  async createCommit(treeEntries, message, { baseTree = null, parents = [] } = {}) {
+    const tree = await this.client.request('POST', `${this.repoPath}/git/trees`, {
+      tree: treeEntries,
+      ...(baseTree ? { base_tree: baseTree } : {})
+    });
+
+    const date = new Date().toISOString();
+    return this.client.request('POST', `${this.repoPath}/git/commits`, {
+      message,
+      tree: tree.sha,
+      parents,
+      author: { ...this.author, date },
+      committer: { ...this.author, date }
+    });
+  }
+
+  async getBranchHead(branch) {
+    try {
+      const ref = await this.client.request('GET', `${this.repoPath}/git/ref/heads/${branch}`);
+      const commit = await this.client.request('GET', `${this.repoPath}/git/commits/${ref.object.sha}`);
+      return { sha: commit.sha, tree: commit.tree.sha };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async deployOrphanBranch(dir, branch, message) {
+    // Same result as `git checkout --orphan` + commit + push: a single parentless commit
+    const treeEntries = await this.uploadDirectory(dir);
+    const commit = await this.createCommit(treeEntries, message);
+
+    await this.client.request('POST', `${this.repoPath}/git/refs`, {
+      ref: `refs/heads/${branch}`,
+      sha: commit.sha
+    });
+    this.log(`✅ Created branch ${branch} at ${commit.sha.slice(0, 7)}`);
+    return commit.sha;
+  }
+
+  async deployToPublishBranch(dir, publishBranch, message, maxAttempts = 3) {
+    // Blobs don't depend on the branch head, so upload once and retry only the commit/ref update
+    const treeEntries = await this.uploadDirectory(dir);
+    return this.commitToPublishBranch(publishBranch, treeEntries, message, { maxAttempts });
+  }
+
+  async removeFromPublishBranch(publishBranch, folders, message) {
+    // A null sha deletes the path, here a whole deployment folder
+    const treeEntries = folders.map(folder => ({ path: folder, mode: '040000', type: 'tree', sha: null }));
+    return this.commitToPublishBranch(publishBranch, treeEntries, message, { create: false });
+  }
+
+  async commitToPublishBranch(publishBranch, treeEntries, message, { create = true, maxAttempts = 3 } = {}) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const head = await this.getBranchHead(publishBranch);
+
+      if (!head) {
+        if (!create) {
+          throw new Error(`Publishing branch '${publishBranch}' not found`);
+        }
+
+        // First deployment in subdirectory mode - start the publishing branch from scratch
+        const commit = await this.createCommit(treeEntries, message);
+        await this.client.request('POST', `${this.repoPath}/git/refs`, {
+          ref: `refs/heads/${publishBranch}`,
+          sha: commit.sha
+        });
+        this.log(`🌱 Created publishing branch: ${publishBranch}`);
+        return commit.sha;
+      }
+
+      const commit = await this.createCommit(treeEntries, message, { baseTree: head.tree, parents: [head.sha] });
+      try {
+        await this.client.request('PATCH', `${this.repoPath}/git/refs/heads/${publishBranch}`, {
+          sha: commit.sha,
+          force: false
+        });
+        this.log(`✅ Updated ${publishBranch} to ${commit.sha.slice(0, 7)}`);
+        return commit.sha;
+      } catch (error) {
+        // 422 means someone else deployed in the meantime; rebuild the commit on top of theirs
+        if (error.status !== 422 || attempt === maxAttempts) {
+          throw new Error(`Could not update publishing branch '${publishBranch}': ${error.message}`);
+        }
+        this.log(`🔄 Publishing branch moved, retrying (${attempt}/${maxAttempts - 1})...`);
+      }
+    }
+  }
+}
+
+GitDataDeployer.mapWithConcurrency = mapWithConcurrency;
+
+module.exports = GitDataDeployer;
@@ -1,19 +1,65 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const FileUtil = require('../utils/file');
+const GitUtil = require('../utils/git');
 const PromptUtil = require('../utils/prompt');
+const ArgsUtil = require('../utils/args');
+const GitHubUtil = require('../utils/github');
+const GitHubClient = require('../api/GitHubClient');
+const GitDataDeployer = require('./GitDataDeployer');
+const PathRewriter = require('./PathRewriter');
+const LinkChecker = require('./LinkChecker');
+const toolPackage = require('../../package.json');
 
 class GitDeployer {
-  constructor(config, packageJson, cwd, branchName, buildConfig, debugMode = false) {
+  constructor(config, packageJson, cwd, branchName, buildConfig, debugMode = false, options = {}) {
     this.config = config;
     this.packageJson = packageJson;
     this.cwd = cwd;
     this.branchName = branchName;
     this.buildConfig = buildConfig;
     this.debugMode = debugMode;
+    this.options = options;
     this.tempDir = null;
+    this.deployDir = null;
+    this.selectedEnv = undefined;
+    this.spaFallback = false;
+    this.deployInfo = null;
+    this.commitSha = null;
+    this.gitAuthEnv = {};
+  }
+
+  static isGitInstalled() {
+    try {
+      execSync('git --version', { stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static resolveTransport(config) {
+    // "git" pushes with a local git binary, "api" uploads through the GitHub Git Data API
+    const transport = ArgsUtil.getFlagValue('--transport') || process.env.GHPD_TRANSPORT || config?.transport;
+    if (transport) {
+      if (!['git', 'api'].includes(transport)) {
+        throw new Error(`Unknown transport '${transport}'. Use 'git' or 'api'`);
+      }
+      return transport;
+    }
+    return GitDeployer.isGitInstalled() ? 'git' : 'api';
+  }
+
+  static resolveCommitAuthor(config, cwd) {
+    // "Name <email>" from the command line, environment or ~/.ghd-config.json, else the user's git identity
+    const configured = ArgsUtil.getFlagValue('--commit-author') || process.env.GHPD_COMMIT_AUTHOR || config?.commitAuthor;
+    return configured ? GitUtil.parseIdentity(configured) : GitUtil.getIdentity(cwd) || GitUtil.FALLBACK_IDENTITY;
+  }
+
+  usesGitDataApi() {
+    return this.options.transport === 'api';
   }
 
   async ensureGitRepo() {
@@ -21,51 +67,161 @@ class GitDeployer {
     this.tempDir = path.join(os.tmpdir(), `gh-deploy-${Date.now()}`);
     fs.mkdirSync(this.tempDir, { recursive: true });
     
+    if (this.usesGitDataApi()) {
+      // Files are uploaded through the Git Data API, so the temp directory stays a plain folder
+      this.log('🔧 Using the Git Data API - no local git repository needed');
+      return;
+    }
+    
     this.log('🔧 Setting up temporary deployment repository...');
     execSync('git init', { cwd: this.tempDir });
     
-    // Set up git config in temp directory
-    execSync('git config user.name "GitHub Deploy Bot"', { cwd: this.tempDir });
-    execSync('git config user.email "deploy@github.local"', { cwd: this.tempDir });
+    // Commit as the configured author (by default the user's own git identity)
+    const author = this.getCommitAuthor();
+    execFileSync('git', ['config', 'user.name', author.name], { cwd: this.tempDir });
+    execFileSync('git', ['config', 'user.email', author.email], { cwd: this.tempDir });
     
-    // Add the remote to our temp directory - always enterprise
+    // Add the remote to our temp directory on the configured host
     const hostname = this.config.hostname;
     if (!hostname) {
-      throw new Error('No enterprise hostname configured');
+      throw new Error('No GitHub hostname configured');
     }
     
-    const repoUrl = `https://${hostname}/${this.config.username}/${this.config.repository}.git`;
+    const repoUrl = `https://${hostname}/${this.config.owner}/${this.config.repository}.git`;
     execSync(`git remote add origin ${repoUrl}`, { cwd: this.tempDir });
+    
+    // Authenticate git with the same token as the API client, so pushing doesn't depend on gh's credential helper.
+    // The header goes through GIT_CONFIG_* variables: never on a command line, never in the clone's .git/config
+    const token = GitHubClient.resolveToken(hostname, this.config);
+    if (token) {
+      const basicAuth = Buffer.from(`x-access-token:${token}`).toString('base64');
+      const index = parseInt(process.env.GIT_CONFIG_COUNT, 10) || 0;
+      this.gitAuthEnv = {
+        GIT_CONFIG_COUNT: String(index + 1),
+        [`GIT_CONFIG_KEY_${index}`]: `http.https://${hostname}/.extraheader`,
+        [`GIT_CONFIG_VALUE_${index}`]: `AUTHORIZATION: basic ${basicAuth}`
+      };
+    }
   }
 
-  async deployToGitHub() {
+  runRemoteGit(args) {
+    // fetch, pull and push: the only git commands that talk to the host and need the token
+    execFileSync('git', args, {
+      cwd: this.tempDir,
+      stdio: this.debugMode ? 'inherit' : 'ignore',
+      env: { ...process.env, ...this.gitAuthEnv }
+    });
+  }
+
+  getCommitAuthor() {
+    return this.options.commitAuthor || GitUtil.FALLBACK_IDENTITY;
+  }
+
+  buildCommitMessage() {
+    // Subject line, then the provenance as trailers so `git log` traces a preview back to its code
+    const lines = [`Deploy ${this.options.projectName || this.packageJson.name || 'project'} - ${this.branchName}`, ''];
+    const source = this.options.source;
+    if (source) {
+      if (source.repository) lines.push(`Source-Repository: ${source.repository}`);
+      if (source.branch) lines.push(`Source-Branch: ${source.branch}`);
+      lines.push(`Source-Commit: ${source.commit}${source.dirty ? ' (with uncommitted changes)' : ''}`);
+    }
+    if (this.config.username) {
+      lines.push(`Deployed-By: ${this.config.username}`);
+    }
+    lines.push(`Deployed-With: ${toolPackage.name} ${toolPackage.version}`);
+    return lines.join('\n');
+  }
+
+  async deployToGitHub(outputPath = path.resolve(this.cwd, this.buildConfig.outputDir)) {
     if (!this.debugMode) {
       await this.showProgress('Deploying to GitHub', 2000);
+    } else if (this.options.subdirectoryMode) {
+      console.log(`📦 Preparing deployment to ${this.options.publishBranch}/${this.options.deployPath}`);
     } else {
       console.log(`📦 Preparing deployment to branch: ${this.branchName}`);
     }
     
-    const outputPath = path.join(this.cwd, this.buildConfig.outputDir);
+    const stdio = this.debugMode ? 'inherit' : 'ignore';
+    
+    if (this.usesGitDataApi()) {
+      // The deployment is staged in a plain folder; in subdirectory mode it's merged onto the branch's tree on upload
+      this.deployDir = this.options.subdirectoryMode ? path.join(this.tempDir, this.options.deployPath) : this.tempDir;
+      fs.mkdirSync(this.deployDir, { recursive: true });
+    } else if (this.options.subdirectoryMode) {
+      this.checkoutPublishBranch();
+      this.deployDir = path.join(this.tempDir, this.options.deployPath);
+      
+      // Replace any previous content at this path (e.g. a re-run of the same deployment)
+      fs.rmSync(this.deployDir, { recursive: true, force: true });
+      fs.mkdirSync(this.deployDir, { recursive: true });
+    } else {
+      // Create orphan branch for this deployment
+      execSync(`git checkout --orphan ${this.branchName}`, { 
+        cwd: this.tempDir,
+        stdio
+      });
+      this.deployDir = this.tempDir;
+    }
+    
+    await this.prepareOutput(outputPath);
+    
+    // Catch base-path mistakes before anything is pushed
+    this.checkLinks();
+    
+    const commitMessage = this.buildCommitMessage();
+    
+    if (this.usesGitDataApi()) {
+      this.log('📤 Pushing to GitHub via the Git Data API...');
+      const gitDataDeployer = new GitDataDeployer(this.config, this.debugMode, { concurrency: this.options.uploadConcurrency, author: this.getCommitAuthor() });
+      if (this.options.subdirectoryMode) {
+        this.commitSha = await gitDataDeployer.deployToPublishBranch(this.tempDir, this.options.publishBranch, commitMessage);
+      } else {
+        this.commitSha = await gitDataDeployer.deployOrphanBranch(this.tempDir, this.branchName, commitMessage);
+      }
+      return;
+    }
     
-    // Create orphan branch for this deployment
-    execSync(`git checkout --orphan ${this.branchName}`, { 
+    // Add and commit
+    execSync('git add .', { 
       cwd: this.tempDir,
-      stdio: this.debugMode ? 'inherit' : 'ignore'
+      stdio
     });
+    execFileSync('git', ['commit', '-m', commitMessage], { 
+      cwd: this.tempDir,
+      stdio
+    });
+    
+    this.log('📤 Pushing to GitHub...');
+    if (this.options.subdirectoryMode) {
+      this.pushPublishBranch();
+    } else {
+      this.runRemoteGit(['push', '-u', 'origin', this.branchName]);
+    }
     
-    // Copy build output to temp directory
-    FileUtil.copyDirectory(outputPath, this.tempDir);
+    // The pushed commit (after any rebase) is what the Pages build will report
+    this.commitSha = execSync('git rev-parse HEAD', { cwd: this.tempDir, encoding: 'utf8' }).trim();
+  }
+
+  async prepareOutput(outputPath) {
+    // Copy build output to the deployment directory
+    FileUtil.copyDirectory(outputPath, this.deployDir);
     
     // Handle environment config replacement
     await this.handleEnvironmentConfig();
     
-    // Create .nojekyll for GitHub Pages
+    // Generic builds know nothing about the Pages base path: prefix their root-relative URLs
+    if (this.isPathRewriteEnabled()) {
+      this.rewriteRootRelativeUrls();
+    }
+    
+    // Create .nojekyll for GitHub Pages (always at the branch root)
     fs.writeFileSync(path.join(this.tempDir, '.nojekyll'), '');
     
     // Create a simple index redirect if no index.html exists
-    if (!fs.existsSync(path.join(this.tempDir, 'index.html'))) {
+    if (!fs.existsSync(path.join(this.deployDir, 'index.html'))) {
       this.log('📄 No index.html found, creating redirect...');
-      const indexFiles = fs.readdirSync(this.tempDir).filter(f => f.endsWith('.html'));
+      const indexFiles = fs.readdirSync(this.deployDir).filter(f => f.endsWith('.html'));
       if (indexFiles.length > 0) {
         const redirectHtml = `<!DOCTYPE html>
 <html>
@@ -77,44 +233,282 @@ class GitDeployer {
   <p>Redirecting to <a href="${indexFiles[0]}">${indexFiles[0]}</a>...</p>
 </body>
 </html>`;
-        fs.writeFileSync(path.join(this.tempDir, 'index.html'), redirectHtml);
+        fs.writeFileSync(path.join(this.deployDir, 'index.html'), redirectHtml);
       }
     }
     
+    // Single-page apps: serve client-side routes through a 404.html fallback
+    const spaFallback = this.isSpaFallbackEnabled() && this.addSpaFallback();
+    this.spaFallback = spaFallback;
+    
+    // Pages only ever serves the branch root's 404.html, which the publishing branch's deployments share
+    if (this.options.subdirectoryMode) {
+      this.addNotFoundRouter();
+    }
+    
     // Add deployment info
     const deployInfo = {
-      project: this.packageJson.name || 'Unknown',
+      // The same name the branch and subdirectory are named after, so listing and retention group by it
+      project: this.options.projectName || this.packageJson.name || 'Unknown',
       deployedAt: new Date().toISOString(),
       branch: this.branchName,
-      buildConfig: this.buildConfig.framework || 'generic'
+      buildConfig: this.buildConfig.framework || 'generic',
+      deployedBy: this.config.username || null,
+      source: this.options.source || null,
+      tool: { name: toolPackage.name, version: toolPackage.version }
     };
-    fs.writeFileSync(path.join(this.tempDir, 'deploy-info.json'), JSON.stringify(deployInfo, null, 2));
+    if (this.buildConfig.framework === 'storybook') {
+      deployInfo.storybook = true;
+    }
+    if (spaFallback) {
+      deployInfo.spaFallback = true;
+    }
+    if (this.options.subdirectoryMode) {
+      deployInfo.publishBranch = this.options.publishBranch;
+      deployInfo.path = this.options.deployPath;
+    }
+    fs.writeFileSync(path.join(this.deployDir, 'deploy-info.json'), JSON.stringify(deployInfo, null, 2));
+    this.deployInfo = deployInfo;
+  }
+
+  async prepareOutputForCheck(outputPath) {
+    // Stage the output exactly as it would be deployed, without a repository
+    this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gh-deploy-check-'));
+    this.deployDir = this.options.subdirectoryMode ? path.join(this.tempDir, this.options.deployPath) : this.tempDir;
+    fs.mkdirSync(this.deployDir, { recursive: true });
+    await this.prepareOutput(outputPath);
+  }
+
+  checkLinks() {
+    const mode = this.options.linkCheck || 'warn';
+    if (mode === 'off') {
+      return [];
+    }
     
-    // Add and commit
-    execSync('git add .', { 
-      cwd: this.tempDir,
-      stdio: this.debugMode ? 'inherit' : 'ignore'
-    });
-    execSync(`git commit -m "Deploy ${this.packageJson.name || 'project'} - ${this.branchName}"`, { 
-      cwd: this.tempDir,
-      stdio: this.debugMode ? 'inherit' : 'ignore'
-    });
+    const basePath = this.getBasePath();
+    this.log(`🔍 Checking links and assets against ${basePath || '/'}...`);
+    const broken = new LinkChecker(this.deployDir, basePath, { spaFallback: this.spaFallback }).check();
+    if (broken.length === 0) {
+      this.log('✅ All internal links and assets resolve');
+      return broken;
+    }
     
-    this.log('📤 Pushing to GitHub...');
-    execSync(`git push -u origin ${this.branchName}`, { 
-      cwd: this.tempDir,
-      stdio: this.debugMode ? 'inherit' : 'ignore'
-    });
+    const report = `${broken.length} broken link${broken.length === 1 ? '' : 's'} or missing asset${broken.length === 1 ? '' : 's'} in the build output:\n${LinkChecker.formatReport(broken)}`;
+    if (mode === 'fail') {
+      throw new Error(`${report}\nFix the references, or deploy anyway with --link-check warn`);
+    }
+    console.warn(`⚠️  ${report}`);
+    return broken;
   }
 
-  async handleEnvironmentConfig() {
+  getBasePath() {
+    // URL path this deployment is served from, e.g. /{repo} or /{repo}/{project}/{branch}
+    const { hostname, owner, repository } = this.config;
+    const siteRoot = GitHubUtil.getPagesBasePath(hostname, owner, repository);
+    return this.options.subdirectoryMode ? `${siteRoot}/${this.options.deployPath}` : siteRoot;
+  }
+
+  isPathRewriteEnabled() {
+    // On by default for generic builds; prebuilt directories (--dir) are deployed as they are
+    if (this.options.rewritePaths !== undefined) {
+      return this.options.rewritePaths;
+    }
+    return this.buildConfig.framework === 'generic' && !this.buildConfig.prebuilt;
+  }
+
+  rewriteRootRelativeUrls() {
+    const basePath = this.getBasePath();
+    this.log(`🔗 Rewriting root-relative URLs to ${basePath}/...`);
+    
+    const changes = new PathRewriter(basePath, this.debugMode).rewriteDirectory(this.deployDir);
+    if (changes.length > 0) {
+      const total = changes.reduce((sum, change) => sum + change.count, 0);
+      console.log(`🔗 Prefixed ${total} root-relative URL${total === 1 ? '' : 's'} with ${basePath} in ${changes.length} file${changes.length === 1 ? '' : 's'}`);
+    } else {
+      this.log('🔗 No root-relative URLs to rewrite');
+    }
+    return changes;
+  }
+
+  isSpaFallbackEnabled() {
+    if (this.options.spaMode !== undefined) {
+      return this.options.spaMode;
+    }
+    
+    // Auto mode: only client-side routed frameworks whose output is a single index.html;
+    // multi-page output (static exports, prerendered sites) already has a file for every route
+    if (!GitDeployer.SPA_FRAMEWORKS.includes(this.buildConfig.framework)) {
+      return false;
+    }
+    const htmlFiles = FileUtil.listFiles(this.deployDir, '', file => file === 'node_modules').filter(file => file.endsWith('.html'));
+    return htmlFiles.length === 1 && htmlFiles[0] === 'index.html';
+  }
+
+  addSpaFallback() {
+    const indexPath = path.join(this.deployDir, 'index.html');
+    if (!fs.existsSync(indexPath)) {
+      this.log('⚠️  No index.html in the build output, skipping the SPA fallback');
+      return false;
+    }
+    
+    // In subdirectory mode this 404.html stays in the deployment's own folder, where the branch
+    // root's 404.html (addNotFoundRouter) hands it the missing paths below /{project}/{branch}/
+    const segmentsToKeep = this.getBasePath().split('/').filter(Boolean).length;
+    
+    // /base/some/route?a=1#top becomes /base/?/some/route&a=1#top ('&' inside is escaped as ~and~)
+    const fallbackHtml = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Redirecting...</title>
+  <script>
+    (function (l) {
+      var segmentsToKeep = ${segmentsToKeep};
+      var parts = l.pathname.split('/');
+      var base = parts.slice(0, 1 + segmentsToKeep).join('/');
+      var route = parts.slice(1 + segmentsToKeep).join('/').replace(/&/g, '~and~');
+      var query = l.search ? '&' + l.search.slice(1).replace(/&/g, '~and~') : '';
+      l.replace(l.protocol + '//' + l.host + base + '/?/' + route + query + l.hash);
+    }(window.location));
+  </script>
+</head>
+<body></body>
+</html>
+`;
+    fs.writeFileSync(path.join(this.deployDir, '404.html'), fallbackHtml);
+    
+    // ...and index.html turns it back into the original URL before the app's router starts
+    const restoreScript = `<script>
+    (function (l) {
+      if (l.search[1] === '/') {
+        var decoded = l.search.slice(1).split('&').map(function (part) { return part.replace(/~and~/g, '&'); }).join('?');
+        window.history.replaceState(null, null, l.pathname.slice(0, -1) + decoded + l.hash);
+      }
+    }(window.location));
+  </script>`;
+    const indexHtml = fs.readFileSync(indexPath, 'utf8');
+    const headMatch = indexHtml.match(/<head[^>]*>/i);
+    const updatedHtml = headMatch
+      ? indexHtml.replace(headMatch[0], `${headMatch[0]}\n  ${restoreScript}`)
+      : `${restoreScript}\n${indexHtml}`;
+    fs.writeFileSync(indexPath, updatedHtml);
+    
+    this.log(`🧭 Added SPA fallback (404.html keeps ${segmentsToKeep} path segment${segmentsToKeep === 1 ? '' : 's'})`);
+    return true;
+  }
+
+  checkoutPublishBranch() {
+    const publishBranch = this.options.publishBranch;
+    const stdio = this.debugMode ? 'inherit' : 'ignore';
+    
+    try {
+      this.runRemoteGit(['fetch', '--depth', '1', 'origin', publishBranch]);
+      execSync(`git checkout -b ${publishBranch} FETCH_HEAD`, { cwd: this.tempDir, stdio });
+      this.log(`🌿 Using existing publishing branch: ${publishBranch}`);
+    } catch (error) {
+      // First deployment in subdirectory mode - start the publishing branch from scratch
+      execSync(`git checkout --orphan ${publishBranch}`, { cwd: this.tempDir, stdio });
+      this.log(`🌱 Creating publishing branch: ${publishBranch}`);
+    }
+  }
+
+  pushPublishBranch(maxAttempts = 3) {
+    const publishBranch = this.options.publishBranch;
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        this.runRemoteGit(['push', '-u', 'origin', publishBranch]);
+        return;
+      } catch (error) {
+        if (attempt === maxAttempts) {
+          throw new Error(`Could not push to publishing branch '${publishBranch}': ${error.message}`);
+        }
+        
+        // Someone else deployed in the meantime - our folder is unique, so rebase on top of theirs
+        this.log(`🔄 Publishing branch moved, rebasing and retrying (${attempt}/${maxAttempts - 1})...`);
+        this.runRemoteGit(['pull', '--rebase', 'origin', publishBranch]);
+      }
+    }
+  }
+
+  addNotFoundRouter() {
+    // Root 404.html of the publishing branch: a missing path below /{project}/{branch}/ gets that
+    // deployment's own 404.html (an SPA fallback or the framework's error page), anything else a plain 404.
+    // Every deployment writes the same file, so it also replaces a shared SPA fallback from older versions
+    const folderDepth = this.getBasePath().split('/').filter(Boolean).length;
+    const routerHtml = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Page not found</title>
+  <script>
+    (function (l) {
+      var parts = l.pathname.split('/');
+      var showNotFound = function () {
+        if (document.body) {
+          document.body.style.display = '';
+        } else {
+          document.addEventListener('DOMContentLoaded', showNotFound);
+        }
+      };
+      if (parts.length <= ${folderDepth} || !parts[${folderDepth}]) {
+        showNotFound();
+        return;
+      }
+      var request = new XMLHttpRequest();
+      request.open('GET', parts.slice(0, ${folderDepth + 1}).join('/') + '/404.html');
+      request.onload = function () {
+        if (request.status !== 200) {
+          showNotFound();
+          return;
+        }
+        document.open();
+        document.write(request.responseText);
+        document.close();
+      };
+      request.onerror = showNotFound;
+      request.send();
+    }(window.location));
+  </script>
+</head>
+<body style="display: none">
+  <h1>404</h1>
+  <p>There isn't a page at this address.</p>
+</body>
+</html>
+`;
+    fs.writeFileSync(path.join(this.tempDir, '404.html'), routerHtml);
+  }
+
+  async removePublishedFolders(folders, message) {
+    // Cleanup in subdirectory mode: remove deployment folders from the publishing branch in one commit
+    const publishBranch = this.options.publishBranch;
+    await this.ensureGitRepo();
+    
+    if (this.usesGitDataApi()) {
+      const gitDataDeployer = new GitDataDeployer(this.config, this.debugMode, { author: this.getCommitAuthor() });
+      this.commitSha = await gitDataDeployer.removeFromPublishBranch(publishBranch, folders, message);
+      return;
+    }
+    
+    const stdio = this.debugMode ? 'inherit' : 'ignore';
+    this.runRemoteGit(['fetch', '--depth', '1', 'origin', publishBranch]);
+    execFileSync('git', ['checkout', '-b', publishBranch, 'FETCH_HEAD'], { cwd: this.tempDir, stdio });
+    execFileSync('git', ['rm', '-r', '--quiet', '--', ...folders], { cwd: this.tempDir, stdio });
+    execFileSync('git', ['commit', '-m', message], { cwd: this.tempDir, stdio });
+    this.pushPublishBranch();
+    this.commitSha = execSync('git rev-parse HEAD', { cwd: this.tempDir, encoding: 'utf8' }).trim();
+  }
+
+  async selectEnvironment() {
+    this.selectedEnv = null;
     this.log('🔧 Checking for environment configuration...');
     
     // Check if env folder exists
     const envBasePath = path.join(this.cwd, 'env');
     if (!fs.existsSync(envBasePath) || !fs.statSync(envBasePath).isDirectory()) {
       this.log('ℹ️  No env directory found, skipping config replacement');
-      return;
+      return null;
     }
     
     // Check what folders are in the env directory
@@ -124,30 +518,38 @@ class GitDeployer {
     
     if (envDirs.length === 0) {
       this.log('ℹ️  No directories found in env folder, skipping config replacement');
-      return;
+      return null;
     }
     
     this.log(`📁 Found environment directories in env/: ${envDirs.join(', ')}`);
     
     // Get the previously used environment for this project
     const ConfigManager = require('../config/ConfigManager');
-    const configManager = new ConfigManager();
+    const configManager = new ConfigManager(this.cwd);
     const lastUsedEnv = configManager.getLastEnvironment(this.cwd);
-    let promptText = '[PLACEHOLDER: Replace with your custom prompt text]\n';
+    const defaultEnv = lastUsedEnv && envDirs.includes(lastUsedEnv) ? lastUsedEnv : '';
+    let promptText = `Available environments: ${envDirs.join(', ')}\n`;
     
-    if (lastUsedEnv && envDirs.includes(lastUsedEnv)) {
-      promptText += `Environment directory name (default: ${lastUsedEnv}): `;
+    if (defaultEnv) {
+      promptText += `Environment directory name (default: ${defaultEnv}): `;
     } else {
       promptText += 'Environment directory name: ';
     }
     
-    // Prompt user for environment selection
-    const userInput = await PromptUtil.promptUser(promptText);
-    const selectedEnv = userInput.trim() || lastUsedEnv;
+    // Flag, environment variable or prompt
+    const userInput = await PromptUtil.resolveInput({
+      label: `Environment directory (one of: ${envDirs.join(', ')})`,
+      question: promptText,
+      flag: '--env',
+      envVar: 'GHPD_ENV',
+      configuredValue: configManager.getProjectSetting('env'),
+      defaultValue: defaultEnv
+    });
+    const selectedEnv = userInput.trim();
     
     if (!selectedEnv) {
       this.log('ℹ️  No environment selected, skipping config replacement');
-      return;
+      return null;
     }
     
     // Validate the selected directory exists in env/
@@ -157,23 +559,40 @@ class GitDeployer {
     }
     
     // Check if config.js exists in the selected directory
-    const configSourcePath = path.join(envPath, 'config.js');
-    if (!fs.existsSync(configSourcePath)) {
+    if (!fs.existsSync(path.join(envPath, 'config.js'))) {
       throw new Error(`config.js not found in 'env/${selectedEnv}' directory`);
     }
     
+    this.selectedEnv = selectedEnv;
+    return selectedEnv;
+  }
+
+  async handleEnvironmentConfig() {
+    // Environment is normally selected before the build; fall back to selecting it now
+    if (this.selectedEnv === undefined) {
+      await this.selectEnvironment();
+    }
+    
+    if (!this.selectedEnv) {
+      return;
+    }
+    
+    const configSourcePath = path.join(this.cwd, 'env', this.selectedEnv, 'config.js');
+    
     // Check if config.js exists in the build output
-    const configDestPath = path.join(this.tempDir, 'config.js');
+    const configDestPath = path.join(this.deployDir, 'config.js');
     if (!fs.existsSync(configDestPath)) {
       this.log('⚠️  config.js not found in build output, copying anyway...');
     }
     
     // Replace the config.js file
     fs.copyFileSync(configSourcePath, configDestPath);
-    this.log(`✅ Replaced config.js with version from 'env/${selectedEnv}'`);
+    this.log(`✅ Replaced config.js with version from 'env/${this.selectedEnv}'`);
     
     // Save the selected environment for future use in this project
-    configManager.saveLastEnvironment(this.cwd, selectedEnv);
+    const ConfigManager = require('../config/ConfigManager');
+    const configManager = new ConfigManager(this.cwd);
+    configManager.saveLastEnvironment(this.cwd, this.selectedEnv);
   }
 
   async showProgress(message, duration = 1000) {
@@ -213,4 +632,7 @@ class GitDeployer {
   }
 }
 
+// Frameworks that route on the client and emit a single index.html
+GitDeployer.SPA_FRAMEWORKS = ['react', 'vite', 'angular', 'remix'];
+
 module.exports = GitDeployer;
\ No newline at end of file
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const FileUtil = require('../utils/file');
+
+class LinkChecker {
+  constructor(dir, basePath, options = {}) {
+    // dir is served at basePath (e.g. /previews or /previews/my-app/my-app-20250718-1423-a1b2c3)
+    this.dir = dir;
+    this.basePath = basePath.replace(/\/$/, '');
+    this.spaFallback = Boolean(options.spaFallback);
+  }
+
+  check() {
+    const broken = [];
+
+    FileUtil.listFiles(this.dir).forEach(file => {
+      const type = /\.html?$/i.test(file) ? 'html' : /\.css$/i.test(file) ? 'css' : null;
+      if (!type) return;
+
+      const content = fs.readFileSync(path.join(this.dir, file), 'utf8');
+      const references = type === 'html' ? this.extractHtmlReferences(content) : this.extractCssReferences(content);
+      
+      // <base href> changes what relative URLs in the document resolve against
+      const baseHref = type === 'html' ? (content.match(/<base\b[^>]*\shref\s*=\s*["']([^"']*)["']/i) || [])[1] : null;
+
+      references.forEach(({ url, isPageLink }) => {
+        const reason = this.checkReference(file, url, isPageLink, baseHref);
+        if (reason) {
+          broken.push({ file, url, reason });
+        }
+      });
+    });
+
+    return broken;
+  }
+
+  extractHtmlReferences(content) {
+    const references = [];
+
+    // Skip the contents of scripts, where "src=" and "href=" are just text
+    const markup = content.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, match => match.replace(/>[\s\S]*<\//, '></'));
+
+    const tagPattern = /<(\w+)\b[^>]*>/g;
+    let tag;
+    while ((tag = tagPattern.exec(markup)) !== null) {
+      const tagName = tag[1].toLowerCase();
+      const attributes = tag[0];
+      if (tagName === 'base') continue;
+
+      let attribute;
+      const pattern = /\s(src|href|srcset|poster)\s*=\s*(["'])([^"']*)\2/gi;
+      while ((attribute = pattern.exec(attributes)) !== null) {
+        const name = attribute[1].toLowerCase();
+        const value = attribute[3];
+        if (name === 'srcset') {
+          value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean)
+            .forEach(url => references.push({ url, isPageLink: false }));
+        } else if (!(tagName === 'link' && /rel\s*=\s*["']?(preconnect|dns-prefetch|canonical|alternate)/i.test(attributes))) {
+          references.push({ url: value, isPageLink: tagName === 'a' || tagName === 'area' });
+        }
+      }
+    }
+
+    return references.concat(this.extractCssReferences(markup));
+  }
+
+  extractCssReferences(content) {
+    const references = [];
+    const patterns = [/url\(\s*(['"]?)([^'")\s]+)\1\s*\)/g, /@import\s+(['"])([^'"]+)\1/g];
+    patterns.forEach(pattern => {
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        references.push({ url: match[2], isPageLink: false });
+      }
+    });
+    return references;
+  }
+
+  checkReference(file, url, isPageLink, baseHref = null) {
+    // External, protocol-relative, data:, mailto:, javascript: and pure fragment references aren't ours to check
+    if (!url || url.startsWith('#') || url.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(url) || url.includes('${') || url.includes('{{')) {
+      return null;
+    }
+
+    let urlPath = url.split(/[?#]/)[0];
+    if (!urlPath) {
+      return null;
+    }
+    try {
+      urlPath = decodeURIComponent(urlPath);
+    } catch (error) {
+      // Keep malformed escapes as-is
+    }
+
+    if (baseHref && !urlPath.startsWith('/')) {
+      // An absolute <base href> (https://...) points somewhere we can't check
+      if (!baseHref.startsWith('/')) {
+        return null;
+      }
+      urlPath = path.posix.join(baseHref, urlPath);
+    }
+
+    let relativePath;
+    if (urlPath.startsWith('/')) {
+      // Root-relative URLs have to stay inside the path this deployment is served from
+      if (urlPath !== this.basePath && !urlPath.startsWith(`${this.basePath}/`)) {
+        return `outside the base path ${this.basePath || '/'}`;
+      }
+      relativePath = path.posix.normalize(`/${urlPath.slice(this.basePath.length)}`).replace(/^\/+/, '');
+    } else {
+      relativePath = path.posix.join(path.posix.dirname(file), urlPath);
+      if (relativePath === '..' || relativePath.startsWith('../')) {
+        return 'points above the deployment root';
+      }
+    }
+
+    if (this.exists(relativePath)) {
+      return null;
+    }
+
+    // Client-side routes have no file of their own; the SPA fallback serves them
+    if (isPageLink && this.spaFallback && !path.posix.extname(relativePath)) {
+      return null;
+    }
+
+    return 'not found in the build output';
+  }
+
+  exists(relativePath) {
+    // Same lookup as GitHub Pages: the file itself, {path}/index.html, or {path}.html
+    const filePath = path.join(this.dir, relativePath);
+    const candidates = [filePath, path.join(filePath, 'index.html'), `${filePath.replace(/\/$/, '')}.html`];
+    return candidates.some(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  }
+
+  static formatReport(broken, limit = 50) {
+    const lines = broken.slice(0, limit).map(({ file, url, reason }) => `   ${file}: ${url} (${reason})`);
+    if (broken.length > limit) {
+      lines.push(`   ...and ${broken.length - limit} more`);
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = LinkChecker;
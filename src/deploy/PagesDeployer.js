@@ -1,105 +1,40 @@
-const { execSync } = require('child_process');
+const GitHubUtil = require('../utils/github');
+const GitHubClient = require('../api/GitHubClient');
 
 class PagesDeployer {
-  constructor(config, packageJson, branchName, debugMode = false) {
+  constructor(config, packageJson, branchName, debugMode = false, options = {}) {
     this.config = config;
     this.packageJson = packageJson;
     this.branchName = branchName;
     this.debugMode = debugMode;
+    this.options = options;
+    
+    // In subdirectory mode Pages always serves the long-lived publishing branch
+    this.sourceBranch = options.subdirectoryMode ? options.publishBranch : branchName;
+    this.previousSourceBranch = null;
   }
 
   async enableGitHubPages() {
     if (!this.debugMode) {
       await this.showProgress('Setting up GitHub Pages', 2000);
     } else {
-      console.log('📄 Setting up GitHub Enterprise Pages deployment...');
+      console.log(`📄 Setting up GitHub Pages deployment on ${GitHubUtil.describeHost(this.config.hostname)}...`);
     }
     
     try {
       const hostname = this.config.hostname;
       if (!hostname) {
-        throw new Error('No enterprise hostname configured');
+        throw new Error('No GitHub hostname configured');
       }
       
-      // Use GH_HOST environment variable for enterprise operations
-      const env = { ...process.env, GH_HOST: hostname };
+      const client = GitHubClient.forHost(hostname, this.config);
+      const pagesConfigured = await this.configurePagesSource(client);
       
-      // Try multiple approaches to update GitHub Pages configuration
-      let pagesConfigured = false;
-      
-      // First, try to get current pages configuration
-      try {
-        const currentPages = execSync(`gh api repos/${this.config.username}/${this.config.repository}/pages`, {
-          encoding: 'utf8',
-          env
-        });
-        const pagesData = JSON.parse(currentPages);
-        this.log(`📋 Current pages source: ${pagesData.source?.branch || 'unknown'}`);
-        
-        // Pages exists, update it
-        try {
-          execSync(`gh api repos/${this.config.username}/${this.config.repository}/pages -X PUT -f source.branch=${this.branchName} -f source.path=/`, {
-            stdio: this.debugMode ? 'inherit' : 'ignore',
-            env
-          });
-          this.log(`✅ GitHub Pages source updated to branch: ${this.branchName}`);
-          pagesConfigured = true;
-        } catch (updateError) {
-          this.log(`⚠️  PUT request failed: ${updateError.message}`);
-        }
-      } catch (getCurrentError) {
-        this.log(`📋 No existing pages configuration found`);
-        
-        // No existing pages, try to create new configuration
-        try {
-          execSync(`gh api repos/${this.config.username}/${this.config.repository}/pages -X POST -f source.branch=${this.branchName} -f source.path=/`, {
-            stdio: this.debugMode ? 'inherit' : 'ignore',
-            env
-          });
-          this.log(`✅ GitHub Pages enabled with source branch: ${this.branchName}`);
-          pagesConfigured = true;
-        } catch (createError) {
-          this.log(`⚠️  POST request failed: ${createError.message}`);
-        }
-      }
-      
-      // If API methods failed, try using the graphql API as a fallback
-      if (!pagesConfigured) {
-        this.log(`🔧 Attempting alternative pages configuration...`);
-        try {
-          // Try to use the graphql API as a fallback
-          const graphqlMutation = `
-            mutation {
-              updateRepository(input: {
-                repositoryId: "${this.config.username}/${this.config.repository}"
-                pagesConfig: {
-                  source: {
-                    branch: "${this.branchName}"
-                    path: "/"
-                  }
-                }
-              }) {
-                repository {
-                  id
-                }
-              }
-            }
-          `;
-          
-          execSync(`gh api graphql -f query='${graphqlMutation}'`, {
-            stdio: this.debugMode ? 'inherit' : 'ignore',
-            env
-          });
-          this.log(`✅ GitHub Pages configured via GraphQL`);
-          pagesConfigured = true;
-        } catch (graphqlError) {
-          this.log(`⚠️  GraphQL approach failed: ${graphqlError.message}`);
-        }
-      }
-      
-      // Generate enterprise-specific URLs (no branch name in URL for single-pages setup)
-      const pagesUrl = `https://${hostname}/pages/${this.config.username}/${this.config.repository}/`;
-      const repoUrl = `https://${hostname}/${this.config.username}/${this.config.repository}/tree/${this.branchName}`;
+      // Generate host-specific URLs (no branch name in URL for single-pages setup,
+      // nested deployment folder in subdirectory mode)
+      const deployPath = this.options.subdirectoryMode ? `${this.options.deployPath}/` : '';
+      const pagesUrl = `${GitHubUtil.getPagesBaseUrl(hostname, this.config.owner, this.config.repository)}/${deployPath}`;
+      const repoUrl = `https://${hostname}/${this.config.owner}/${this.config.repository}/tree/${this.sourceBranch}`;
       
       // In normal mode, final output will be handled by the progress system
       if (this.debugMode) {
@@ -110,11 +45,11 @@ class PagesDeployer {
         if (!pagesConfigured) {
           console.log('\n⚠️  Pages configuration may need manual setup:');
           console.log(`   1. Go to: ${repoUrl.replace('/tree/', '/settings/pages')}`);
-          console.log(`   2. Set source to branch: ${this.branchName}`);
+          console.log(`   2. Set source to branch: ${this.sourceBranch}`);
         }
         
         console.log(`\n📦 Repository: ${repoUrl}`);
-        console.log(`🏢 Enterprise: ${hostname}`);
+        console.log(`🏢 Host: ${GitHubUtil.describeHost(hostname)}`);
       }
       
       // Store URLs for progress system to display
@@ -123,21 +58,11 @@ class PagesDeployer {
       this.pagesConfigured = pagesConfigured;
       
       // Update local config with last deployment info
-      this.config.lastDeployment = {
-        branch: this.branchName,
-        url: pagesUrl,
-        deployedAt: new Date().toISOString(),
-        project: this.packageJson.name || 'Unknown',
-        hostname: hostname
-      };
-      
-      const ConfigManager = require('../config/ConfigManager');
-      const configManager = new ConfigManager();
-      configManager.saveConfig(this.config);
+      this.saveLastDeployment(pagesUrl, new Date().toISOString(), pagesConfigured);
       
     } catch (error) {
       const hostname = this.config.hostname;
-      const repoUrl = `https://${hostname}/${this.config.username}/${this.config.repository}/tree/${this.branchName}`;
+      const repoUrl = `https://${hostname}/${this.config.owner}/${this.config.repository}/tree/${this.sourceBranch}`;
       
       console.log('\n⚠️  GitHub Pages setup failed, but deployment succeeded');
       console.log(`🌿 Branch: ${this.branchName}`);
@@ -149,6 +74,121 @@ class PagesDeployer {
     }
   }
 
+  async configurePagesSource(client) {
+    // Point Pages at this.sourceBranch: update an existing site, create one, or fall back to GraphQL
+    const pagesPath = `/repos/${this.config.owner}/${this.config.repository}/pages`;
+    const pagesSource = { source: { branch: this.sourceBranch, path: '/' } };
+    
+    // Try multiple approaches to update GitHub Pages configuration
+    let pagesConfigured = false;
+    
+    // First, try to get current pages configuration
+    try {
+      const pagesData = await client.request('GET', pagesPath);
+      this.log(`📋 Current pages source: ${pagesData.source?.branch || 'unknown'}`);
+      this.previousSourceBranch = pagesData.source?.branch || null;
+      
+      if (pagesData.source?.branch === this.sourceBranch) {
+        this.log(`✅ GitHub Pages already serving branch: ${this.sourceBranch}`);
+        pagesConfigured = true;
+      } else {
+        // Pages exists, update it
+        try {
+          await client.request('PUT', pagesPath, pagesSource);
+          this.log(`✅ GitHub Pages source updated to branch: ${this.sourceBranch}`);
+          pagesConfigured = true;
+        } catch (updateError) {
+          this.log(`⚠️  PUT request failed: ${updateError.message}`);
+        }
+      }
+    } catch (getCurrentError) {
+      this.log(`📋 No existing pages configuration found`);
+      
+      // No existing pages, try to create new configuration
+      try {
+        await client.request('POST', pagesPath, pagesSource);
+        this.log(`✅ GitHub Pages enabled with source branch: ${this.sourceBranch}`);
+        pagesConfigured = true;
+      } catch (createError) {
+        this.log(`⚠️  POST request failed: ${createError.message}`);
+      }
+    }
+    
+    // If API methods failed, try using the graphql API as a fallback
+    if (!pagesConfigured) {
+      this.log(`🔧 Attempting alternative pages configuration...`);
+      try {
+        // Try to use the graphql API as a fallback
+        const graphqlMutation = `
+          mutation {
+            updateRepository(input: {
+              repositoryId: "${this.config.owner}/${this.config.repository}"
+              pagesConfig: {
+                source: {
+                  branch: "${this.sourceBranch}"
+                  path: "/"
+                }
+              }
+            }) {
+              repository {
+                id
+              }
+            }
+          }
+        `;
+        
+        await client.graphql(graphqlMutation);
+        this.log(`✅ GitHub Pages configured via GraphQL`);
+        pagesConfigured = true;
+      } catch (graphqlError) {
+        this.log(`⚠️  GraphQL approach failed: ${graphqlError.message}`);
+      }
+    }
+    
+    return pagesConfigured;
+  }
+
+  saveLastDeployment(pagesUrl, deployedAt, served = true, { rollback = false } = {}) {
+    this.config.lastDeployment = {
+      branch: this.branchName,
+      sourceBranch: this.sourceBranch,
+      url: pagesUrl,
+      deployedAt,
+      project: this.options.projectName || this.packageJson.name || 'Unknown',
+      hostname: this.config.hostname
+    };
+    
+    // Most recently served branches first, for --rollback
+    if (served) {
+      const history = (this.config.pagesHistory || []).filter(branch => branch !== this.sourceBranch);
+      
+      // Remember what was served before, even if it wasn't deployed from here (but not what we roll back from)
+      const previous = this.previousSourceBranch;
+      if (!rollback && previous && previous !== this.sourceBranch && !history.includes(previous)) {
+        history.unshift(previous);
+      }
+      this.config.pagesHistory = [this.sourceBranch, ...history].slice(0, PagesDeployer.HISTORY_SIZE);
+    }
+    
+    const ConfigManager = require('../config/ConfigManager');
+    const configManager = new ConfigManager();
+    configManager.saveConfig(this.config);
+  }
+
+  async activate(deployedAt, options = {}) {
+    // Serve an already deployed branch again (--activate / --rollback)
+    const client = GitHubClient.forHost(this.config.hostname, this.config);
+    const pagesConfigured = await this.configurePagesSource(client);
+    if (!pagesConfigured) {
+      const settingsUrl = `https://${this.config.hostname}/${this.config.owner}/${this.config.repository}/settings/pages`;
+      throw new Error(`Could not update the GitHub Pages source. Set it to branch ${this.sourceBranch} at ${settingsUrl}`);
+    }
+    
+    this.pagesUrl = `${GitHubUtil.getPagesBaseUrl(this.config.hostname, this.config.owner, this.config.repository)}/`;
+    this.saveLastDeployment(this.pagesUrl, deployedAt, true, options);
+    return this.pagesUrl;
+  }
+
   async showProgress(message, duration = 1000) {
     if (!this.debugMode) {
       process.stdout.write(`${message}... `);
@@ -175,4 +215,7 @@ class PagesDeployer {
   }
 }
 
+// Number of previously served branches remembered for --rollback
+PagesDeployer.HISTORY_SIZE = 10;
+
 module.exports = PagesDeployer;
\ No newline at end of file
@@ -0,0 +1,153 @@
+const http = require('http');
+const https = require('https');
+const GitHubClient = require('../api/GitHubClient');
+
+class PagesVerifier {
+  constructor(config, debugMode = false, options = {}) {
+    this.config = config;
+    this.debugMode = debugMode;
+    this.repoPath = `/repos/${config.owner}/${config.repository}`;
+    this.timeout = options.timeout || PagesVerifier.DEFAULT_TIMEOUT;
+    this.interval = options.interval || PagesVerifier.DEFAULT_INTERVAL;
+    this.client = null;
+  }
+
+  log(message) {
+    if (this.debugMode) {
+      console.log(message);
+    }
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = GitHubClient.forHost(this.config.hostname, this.config);
+    }
+    return this.client;
+  }
+
+  async verify(commitSha, siteUrl, deployInfo) {
+    // Both steps share one deadline, so --wait never runs longer than the timeout
+    const deadline = Date.now() + this.timeout;
+    const build = await this.waitForBuild(commitSha, deadline);
+    await this.waitForSite(siteUrl, deployInfo, deadline);
+    return build;
+  }
+
+  async waitForBuild(commitSha, deadline) {
+    this.log(`⏳ Waiting for the Pages build of ${commitSha.slice(0, 7)}...`);
+    let lastStatus = null;
+
+    while (true) {
+      const build = await this.getLatestBuild();
+
+      // Until Pages picks up our commit, the latest build is still the previous one
+      if (build && build.commit === commitSha) {
+        if (build.status !== lastStatus) {
+          this.log(`📋 Pages build: ${build.status}`);
+          lastStatus = build.status;
+        }
+        if (build.status === 'built') {
+          return build;
+        }
+        if (build.status === 'errored') {
+          throw new Error(`GitHub Pages build failed: ${build.error?.message || 'no details given'}`);
+        }
+      }
+
+      if (Date.now() + this.interval > deadline) {
+        throw new Error(`Timed out waiting for the GitHub Pages build of ${commitSha.slice(0, 7)} (last status: ${lastStatus || 'not started'})`);
+      }
+      await PagesVerifier.sleep(this.interval);
+    }
+  }
+
+  async getLatestBuild() {
+    try {
+      return await this.getClient().request('GET', `${this.repoPath}/pages/builds/latest`);
+    } catch (error) {
+      // No build has run yet for a freshly enabled site
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async waitForSite(siteUrl, deployInfo, deadline) {
+    // The CDN can serve the previous deployment for a short while after the build
+    const infoUrl = new URL('deploy-info.json', siteUrl.endsWith('/') ? siteUrl : `${siteUrl}/`).toString();
+    this.log(`🌐 Checking ${siteUrl}`);
+    let problem = null;
+
+    while (true) {
+      problem = await this.checkSite(siteUrl, infoUrl, deployInfo);
+      if (!problem) {
+        return;
+      }
+      this.log(`   ${problem}`);
+
+      if (Date.now() + this.interval > deadline) {
+        throw new Error(`Site did not come up at ${siteUrl}: ${problem}`);
+      }
+      await PagesVerifier.sleep(this.interval);
+    }
+  }
+
+  async checkSite(siteUrl, infoUrl, deployInfo) {
+    try {
+      const page = await PagesVerifier.fetch(siteUrl);
+      if (page.status !== 200) {
+        return `${siteUrl} responded with ${page.status}`;
+      }
+
+      const info = await PagesVerifier.fetch(infoUrl);
+      if (info.status !== 200) {
+        return `${infoUrl} responded with ${info.status}`;
+      }
+
+      let served;
+      try {
+        served = JSON.parse(info.body);
+      } catch (error) {
+        return `${infoUrl} is not valid JSON`;
+      }
+      if (served.branch !== deployInfo.branch || served.deployedAt !== deployInfo.deployedAt) {
+        return `deploy-info.json is from another deployment (${served.branch || 'unknown'}, ${served.deployedAt || 'unknown'})`;
+      }
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  static fetch(url, redirectsLeft = 5) {
+    // GET with redirects followed (Pages redirects to custom domains and adds trailing slashes)
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const transport = target.protocol === 'http:' ? http : https;
+      const req = transport.get(target, { headers: { 'User-Agent': 'gh-pages-poc-deploy', 'Cache-Control': 'no-cache' } }, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirectsLeft > 0) {
+          res.resume();
+          resolve(PagesVerifier.fetch(new URL(res.headers.location, target).toString(), redirectsLeft - 1));
+          return;
+        }
+
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+      });
+
+      req.setTimeout(30000, () => req.destroy(new Error(`GET ${url} timed out`)));
+      req.on('error', error => reject(new Error(`GET ${url} failed: ${error.message}`)));
+    });
+  }
+
+  static sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+PagesVerifier.DEFAULT_TIMEOUT = 10 * 60 * 1000;
+PagesVerifier.DEFAULT_INTERVAL = 5000;
+
+module.exports = PagesVerifier;
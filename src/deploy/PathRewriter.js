@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const FileUtil = require('../utils/file');
+
+class PathRewriter {
+  constructor(basePath, debugMode = false) {
+    // e.g. "/previews" or "/previews/my-app/my-app-20250718-1423-a1b2c3", without a trailing slash
+    this.basePath = basePath.replace(/\/$/, '');
+    this.debugMode = debugMode;
+  }
+
+  log(message) {
+    if (this.debugMode) {
+      console.log(message);
+    }
+  }
+
+  rewriteUrl(url) {
+    // Only root-relative URLs: leave relative, external ("https://", "//cdn"), data: and already-prefixed ones alone
+    if (!url.startsWith('/') || url.startsWith('//')) {
+      return url;
+    }
+    const rest = url.slice(this.basePath.length);
+    if (url.startsWith(this.basePath) && (rest === '' || /^[/?#]/.test(rest))) {
+      return url;
+    }
+    return `${this.basePath}${url}`;
+  }
+
+  rewriteSrcset(srcset) {
+    // "a.png 1x, /b.png 2x" - each candidate is a URL plus an optional descriptor
+    return srcset.split(',').map(candidate => {
+      const [, space, url, rest] = candidate.match(/^(\s*)(\S*)(.*)$/s);
+      return `${space}${this.rewriteUrl(url)}${rest}`;
+    }).join(',');
+  }
+
+  rewriteCss(content, counter) {
+    const rewrite = url => {
+      const rewritten = this.rewriteUrl(url);
+      if (rewritten !== url) counter.count++;
+      return rewritten;
+    };
+
+    return content
+      .replace(/url\(\s*(['"]?)([^'")\s]+)\1\s*\)/g, (match, quote, url) => `url(${quote}${rewrite(url)}${quote})`)
+      .replace(/@import\s+(['"])([^'"]+)\1/g, (match, quote, url) => `@import ${quote}${rewrite(url)}${quote}`);
+  }
+
+  rewriteHtml(content, counter) {
+    // Inline script bodies are JavaScript, where a string like "/api/users" is no URL to rewrite; only the
+    // markup around them (including the <script src=""> tag itself) is rewritten. split() keeps the scripts at odd indexes
+    return content.split(/(<script\b[^>]*>[\s\S]*?<\/script>)/i).map((part, index) => {
+      if (index % 2 === 0) {
+        return this.rewriteMarkup(part, counter);
+      }
+      const [, openingTag, body, closingTag] = part.match(/^(<script\b[^>]*>)([\s\S]*?)(<\/script>)$/i);
+      return `${this.rewriteMarkup(openingTag, counter)}${body}${closingTag}`;
+    }).join('');
+  }
+
+  rewriteMarkup(content, counter) {
+    const html = content.replace(/(\s(src|href|srcset|poster|action)\s*=\s*)(["'])([^"']*)\3/gi, (match, prefix, attribute, quote, value) => {
+      const rewritten = attribute.toLowerCase() === 'srcset' ? this.rewriteSrcset(value) : this.rewriteUrl(value);
+      if (rewritten !== value) counter.count++;
+      return `${prefix}${quote}${rewritten}${quote}`;
+    });
+
+    // Inline <style> blocks and style="" attributes
+    return this.rewriteCss(html, counter);
+  }
+
+  rewriteManifest(content, counter) {
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch (error) {
+      this.log('⚠️  Could not parse web manifest, leaving it unchanged');
+      return content;
+    }
+
+    // start_url, scope, and src/url of icons, screenshots and shortcuts
+    const urlKeys = ['start_url', 'scope', 'src', 'url'];
+    const visit = value => {
+      if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+          if (urlKeys.includes(key) && typeof value[key] === 'string') {
+            const rewritten = this.rewriteUrl(value[key]);
+            if (rewritten !== value[key]) counter.count++;
+            value[key] = rewritten;
+          } else {
+            visit(value[key]);
+          }
+        });
+      }
+    };
+    visit(manifest);
+
+    return counter.count > 0 ? JSON.stringify(manifest, null, 2) : content;
+  }
+
+  getFileType(file) {
+    const name = path.basename(file).toLowerCase();
+    if (/\.html?$/.test(name)) return 'html';
+    if (name.endsWith('.css')) return 'css';
+    if (name.endsWith('.webmanifest') || name === 'manifest.json') return 'manifest';
+    return null;
+  }
+
+  rewriteDirectory(dir) {
+    const changes = [];
+    if (!this.basePath) {
+      // Sites served from the domain root (user/organization sites) need no rewriting
+      return changes;
+    }
+
+    FileUtil.listFiles(dir).forEach(file => {
+      const type = this.getFileType(file);
+      if (!type) return;
+
+      const filePath = path.join(dir, file);
+      const content = fs.readFileSync(filePath, 'utf8');
+      const counter = { count: 0 };
+      const updated = type === 'html' ? this.rewriteHtml(content, counter)
+        : type === 'css' ? this.rewriteCss(content, counter)
+        : this.rewriteManifest(content, counter);
+
+      if (counter.count > 0) {
+        fs.writeFileSync(filePath, updated);
+        changes.push({ file, count: counter.count });
+        this.log(`   ${file}: ${counter.count} URL${counter.count === 1 ? '' : 's'}`);
+      }
+    });
+
+    return changes;
+  }
+}
+
+module.exports = PathRewriter;
@@ -0,0 +1,292 @@
+const GitHubClient = require('../api/GitHubClient');
+const GitDataDeployer = require('../deploy/GitDataDeployer');
+const ConfigManager = require('../config/ConfigManager');
+const BranchNameUtil = require('../utils/branchName');
+
+class DeploymentLister {
+  constructor(config, debugMode = false) {
+    this.config = config;
+    this.debugMode = debugMode;
+    this.repoPath = `/repos/${config.owner}/${config.repository}`;
+    this.client = null;
+  }
+
+  log(message) {
+    if (this.debugMode) {
+      console.log(message);
+    }
+  }
+
+  static parseBranchTimestamp(branchName) {
+    // {project}-{YYYYMMDD-HHMM}-{hex6}; the timestamp is generated in UTC
+    const match = branchName.match(/-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})-[a-f0-9]{6}$/);
+    if (!match) {
+      return null;
+    }
+    const [, year, month, day, hour, minute] = match.map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute));
+  }
+
+  static parseDuration(value) {
+    // "30m", "12h", "7d", "2w"; a bare number means days
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw]?)$/i);
+    if (!match) {
+      throw new Error(`Invalid duration '${value}'. Use e.g. 12h, 7d or 2w`);
+    }
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+    return parseFloat(match[1]) * units[(match[2] || 'd').toLowerCase()];
+  }
+
+  static formatAge(date, now = new Date()) {
+    const minutes = Math.max(0, Math.floor((now - date) / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 48 * 60) return `${Math.floor(minutes / 60)}h`;
+    return `${Math.floor(minutes / (24 * 60))}d`;
+  }
+
+  static formatSize(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = GitHubClient.forHost(this.config.hostname, this.config);
+    }
+    return this.client;
+  }
+
+  async getServedSource() {
+    try {
+      const pages = await this.getClient().request('GET', `${this.repoPath}/pages`);
+      return pages?.source ? { branch: pages.source.branch, path: pages.source.path || '/' } : null;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async readTree(ref) {
+    try {
+      const tree = await this.getClient().request('GET', `${this.repoPath}/git/trees/${encodeURIComponent(ref)}?recursive=1`);
+      return tree.tree || [];
+    } catch (error) {
+      if (error.status === 404 || error.status === 409) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  static parseDeployInfo(file) {
+    // A blob or contents API response
+    return JSON.parse(Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8'));
+  }
+
+  async readDeployInfo(blobSha) {
+    try {
+      const blob = await this.getClient().request('GET', `${this.repoPath}/git/blobs/${blobSha}`);
+      return DeploymentLister.parseDeployInfo(blob);
+    } catch (error) {
+      this.log(`⚠️  Could not read deploy-info.json (${blobSha}): ${error.message}`);
+      return null;
+    }
+  }
+
+  async readBranchDeployInfo(branch) {
+    // deploy-info.json at the root of a branch in a single request, without reading the branch's tree;
+    // found is false when the branch has none
+    let file;
+    try {
+      file = await this.getClient().request('GET', `${this.repoPath}/contents/deploy-info.json?ref=${encodeURIComponent(branch)}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return { found: false, info: null };
+      }
+      throw error;
+    }
+
+    try {
+      return { found: true, info: DeploymentLister.parseDeployInfo(file) };
+    } catch (error) {
+      this.log(`⚠️  Could not read deploy-info.json on ${branch}: ${error.message}`);
+      return { found: true, info: null };
+    }
+  }
+
+  async getBranchDeployment(branch) {
+    // null when the branch doesn't exist; info is null when it has no deploy-info.json
+    try {
+      await this.getClient().request('GET', `${this.repoPath}/branches/${encodeURIComponent(branch)}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    const tree = await this.readTree(branch);
+    const infoEntry = tree.find(entry => entry.path === 'deploy-info.json');
+    const info = infoEntry ? await this.readDeployInfo(infoEntry.sha) : null;
+    const served = await this.getServedSource();
+    return this.describe({
+      branch,
+      path: null,
+      info,
+      size: tree.filter(entry => entry.type === 'blob').reduce((sum, entry) => sum + (entry.size || 0), 0),
+      served: served?.branch === branch
+    });
+  }
+
+  async readCommitDate(sha) {
+    try {
+      const commit = await this.getClient().request('GET', `${this.repoPath}/git/commits/${sha}`);
+      return new Date(commit.committer?.date || commit.author?.date);
+    } catch (error) {
+      this.log(`⚠️  Could not read commit ${sha}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async readBranch(branch, sizes) {
+    // The recursive tree is only needed for the size; without it deploy-info.json is one contents request
+    if (!sizes) {
+      return { ...await this.readBranchDeployInfo(branch), size: null };
+    }
+
+    const tree = await this.readTree(branch);
+    const infoEntry = tree.find(entry => entry.path === 'deploy-info.json');
+    return {
+      found: Boolean(infoEntry),
+      info: infoEntry ? await this.readDeployInfo(infoEntry.sha) : null,
+      size: tree.filter(entry => entry.type === 'blob').reduce((sum, entry) => sum + (entry.size || 0), 0)
+    };
+  }
+
+  async listBranchDeployments(branches, served, { commitDates = false, sizes = true } = {}) {
+    // A branch is a deployment if it carries deploy-info.json (any branch template, or renamed by hand),
+    // or has the timestamped name of deployments from before deploy-info.json was read
+    const excluded = ['main', 'master', this.config.publishBranch || ConfigManager.DEFAULT_PUBLISH_BRANCH];
+    const candidates = branches.filter(branch => !excluded.includes(branch.name));
+
+    const deployments = await GitDataDeployer.mapWithConcurrency(candidates, 8, async (branch) => {
+      const { found, info, size } = await this.readBranch(branch.name, sizes);
+      if (!found && !DeploymentLister.parseBranchTimestamp(branch.name)) {
+        return null;
+      }
+
+      const deployment = this.describe({
+        branch: branch.name,
+        path: null,
+        info,
+        size,
+        served: served?.branch === branch.name
+      });
+      if (commitDates && branch.commit?.sha) {
+        deployment.lastCommitAt = await this.readCommitDate(branch.commit.sha);
+      }
+      return deployment;
+    });
+
+    return deployments.filter(Boolean);
+  }
+
+  async listFolderDeployments(served) {
+    // One deployment per /{project}/{branch}/ folder of the publishing branch (subdirectory mode)
+    const publishBranch = this.config.publishBranch || ConfigManager.DEFAULT_PUBLISH_BRANCH;
+    const tree = await this.readTree(publishBranch);
+    const infoEntries = tree.filter(entry => /^[^/]+\/[^/]+\/deploy-info\.json$/.test(entry.path));
+
+    return GitDataDeployer.mapWithConcurrency(infoEntries, 8, async (infoEntry) => {
+      const folder = infoEntry.path.replace(/\/deploy-info\.json$/, '');
+      const info = await this.readDeployInfo(infoEntry.sha);
+      return this.describe({
+        branch: info?.branch || folder.split('/')[1],
+        path: folder,
+        publishBranch,
+        info,
+        size: tree.filter(entry => entry.type === 'blob' && entry.path.startsWith(`${folder}/`)).reduce((sum, entry) => sum + (entry.size || 0), 0),
+        served: served?.branch === publishBranch
+      });
+    });
+  }
+
+  async listDeployments() {
+    const branches = await this.getClient().paginate(`${this.repoPath}/branches`);
+    const publishBranch = this.config.publishBranch || ConfigManager.DEFAULT_PUBLISH_BRANCH;
+    const served = await this.getServedSource();
+    this.log(`📋 ${branches.length} branches, Pages serves ${served ? served.branch : 'nothing'}`);
+
+    // One deployment per deployment branch, plus one per /{project}/{branch}/ folder of the publishing branch
+    const branchDeployments = await this.listBranchDeployments(branches, served);
+    const hasPublishBranch = branches.some(branch => branch.name === publishBranch);
+    const folderDeployments = hasPublishBranch ? await this.listFolderDeployments(served) : [];
+
+    return branchDeployments.concat(folderDeployments)
+      .sort((a, b) => (b.deployedAt?.getTime() || 0) - (a.deployedAt?.getTime() || 0));
+  }
+
+  describe({ branch, path, publishBranch = null, info, size, served }) {
+    const deployedAt = info?.deployedAt ? new Date(info.deployedAt) : DeploymentLister.parseBranchTimestamp(branch);
+    return {
+      branch,
+      path,
+      publishBranch,
+      // Cleaned like branch names, so deployments recorded with a raw package name ("@org/app") group with the rest
+      project: BranchNameUtil.cleanProjectName(info?.project || (path ? path.split('/')[0] : branch.replace(/-\d{8}-\d{4}-[a-f0-9]{6}$/, ''))),
+      framework: info?.buildConfig || null,
+      deployedAt,
+      deployedBy: info?.deployedBy || null,
+      size,
+      served,
+      info
+    };
+  }
+
+  static filter(deployments, { project, mine, olderThan }) {
+    const now = Date.now();
+    return deployments.filter(deployment => {
+      if (project) {
+        // Match the name in deploy-info.json or the project part of the branch name / folder
+        const wanted = BranchNameUtil.cleanProjectName(project).toLowerCase();
+        const names = [deployment.project, deployment.path?.split('/')[0], deployment.branch.replace(/-\d{8}-\d{4}-[a-f0-9]{6}$/, '')];
+        if (!names.some(name => name && name.toLowerCase() === wanted)) return false;
+      }
+      // GitHub logins are case-insensitive, as in CleanupManager.isOwnDeployment
+      if (mine && (deployment.deployedBy || '').toLowerCase() !== mine.toLowerCase()) return false;
+      if (olderThan !== undefined && !(deployment.deployedAt && now - deployment.deployedAt.getTime() > olderThan)) return false;
+      return true;
+    });
+  }
+
+  static printTable(deployments) {
+    if (deployments.length === 0) {
+      console.log('No deployments found.');
+      return;
+    }
+
+    const now = new Date();
+    const rows = deployments.map(deployment => [
+      deployment.served ? '●' : '',
+      deployment.path ? `${deployment.publishBranch}/${deployment.path}` : deployment.branch,
+      deployment.project,
+      deployment.deployedAt ? DeploymentLister.formatAge(deployment.deployedAt, now) : '?',
+      deployment.framework || '-',
+      DeploymentLister.formatSize(deployment.size),
+      deployment.deployedBy || '-'
+    ]);
+    const header = ['', 'DEPLOYMENT', 'PROJECT', 'AGE', 'FRAMEWORK', 'SIZE', 'BY'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    console.log(format(header));
+    rows.forEach(row => console.log(format(row)));
+    console.log(`\n${deployments.length} deployment${deployments.length === 1 ? '' : 's'} (● = served by GitHub Pages)`);
+  }
+}
+
+module.exports = DeploymentLister;
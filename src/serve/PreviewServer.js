@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.wasm': 'application/wasm',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.pdf': 'application/pdf'
+};
+
+class PreviewServer {
+  constructor(rootDir, basePath, debugMode = false) {
+    // rootDir is the branch root, served at basePath (the Pages site root, e.g. /{repo})
+    this.rootDir = path.resolve(rootDir);
+    this.basePath = basePath.replace(/\/$/, '');
+    this.debugMode = debugMode;
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  log(message) {
+    if (this.debugMode) {
+      console.log(message);
+    }
+  }
+
+  resolveFile(urlPath) {
+    // Same lookup order as GitHub Pages: the file, {path}/index.html, then {path}.html
+    const filePath = path.join(this.rootDir, urlPath);
+    if (filePath !== this.rootDir && !filePath.startsWith(`${this.rootDir}${path.sep}`)) {
+      return null;
+    }
+
+    const isFile = candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+    if (isFile(filePath)) {
+      return { filePath };
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      // Pages redirects /dir to /dir/ before serving its index.html
+      if (!urlPath.endsWith('/')) {
+        return { redirect: `${urlPath}/` };
+      }
+      return isFile(path.join(filePath, 'index.html')) ? { filePath: path.join(filePath, 'index.html') } : null;
+    }
+    if (isFile(`${filePath}.html`)) {
+      return { filePath: `${filePath}.html` };
+    }
+    return null;
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+      pathname = url.pathname;
+    }
+
+    // Nothing is served outside the base path, like on Pages - but point the way from /
+    if (pathname !== this.basePath && !pathname.startsWith(`${this.basePath}/`)) {
+      if (pathname === '/') {
+        this.redirect(res, `${this.basePath}/`);
+      } else {
+        this.notFound(res, pathname);
+      }
+      return;
+    }
+
+    const result = this.resolveFile(pathname.slice(this.basePath.length));
+    if (result?.redirect) {
+      this.redirect(res, `${this.basePath}${result.redirect}${url.search}`);
+    } else if (result) {
+      this.sendFile(res, result.filePath, 200, req.method);
+    } else {
+      this.notFound(res, pathname, req.method);
+    }
+  }
+
+  sendFile(res, filePath, status, method = 'GET') {
+    res.writeHead(status, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    if (method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+  }
+
+  redirect(res, location) {
+    res.writeHead(301, { Location: location });
+    res.end();
+  }
+
+  notFound(res, pathname, method = 'GET') {
+    this.log(`   404 ${pathname}`);
+
+    // Pages answers every missing path with the site's 404.html, if there is one
+    const customPage = path.join(this.rootDir, '404.html');
+    if (fs.existsSync(customPage)) {
+      this.sendFile(res, customPage, 404, method);
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`404 - ${pathname} not found\n`);
+  }
+
+  listen(port, host = 'localhost', attempts = 10) {
+    // Use the next free port when the requested one is taken
+    return new Promise((resolve, reject) => {
+      const tryPort = (candidate, remaining) => {
+        const server = http.createServer((req, res) => this.handleRequest(req, res));
+        server.on('connection', socket => {
+          this.sockets.add(socket);
+          socket.once('close', () => this.sockets.delete(socket));
+        });
+        server.once('error', error => {
+          if (error.code === 'EADDRINUSE' && remaining > 1) {
+            this.log(`⚠️  Port ${candidate} is in use, trying ${candidate + 1}`);
+            tryPort(candidate + 1, remaining - 1);
+          } else {
+            reject(error);
+          }
+        });
+        server.listen(candidate, host, () => {
+          this.server = server;
+          resolve(`http://${host}:${candidate}${this.basePath}/`);
+        });
+      };
+      tryPort(port, attempts);
+    });
+  }
+
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      // Don't wait for idle keep-alive connections from the browser (server.closeAllConnections() needs Node 18.2)
+      this.sockets.forEach(socket => socket.destroy());
+      this.sockets.clear();
+      this.server = null;
+    });
+  }
+}
+
+PreviewServer.DEFAULT_PORT = 4173;
+
+module.exports = PreviewServer;
@@ -0,0 +1,39 @@
+class ArgsUtil {
+  static hasFlag(flag, args = process.argv) {
+    return args.includes(flag) || args.some(arg => arg.startsWith(`${flag}=`));
+  }
+
+  static getFlagValue(flag, args = process.argv) {
+    // Supports both "--flag value" and "--flag=value"
+    for (let i = 0; i < args.length; i++) {
+      if (args[i].startsWith(`${flag}=`)) {
+        return args[i].slice(flag.length + 1);
+      }
+      if (args[i] === flag && i + 1 < args.length && !args[i + 1].startsWith('-')) {
+        return args[i + 1];
+      }
+    }
+    return undefined;
+  }
+
+  static getBooleanFlag(flag, args = process.argv) {
+    // "--flag" / "--flag=true" enable, "--no-flag" / "--flag=false" disable
+    const negated = flag.replace(/^--/, '--no-');
+    if (args.includes(negated)) return false;
+    
+    const value = args.find(arg => arg.startsWith(`${flag}=`));
+    if (value) return ArgsUtil.parseBoolean(value.slice(flag.length + 1));
+    if (args.includes(flag)) return true;
+    return undefined;
+  }
+
+  static parseBoolean(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const normalized = String(value).trim().toLowerCase();
+    if (['1', 'true', 'yes', 'y', 'on'].includes(normalized)) return true;
+    if (['0', 'false', 'no', 'n', 'off'].includes(normalized)) return false;
+    return undefined;
+  }
+}
+
+module.exports = ArgsUtil;
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+class BranchNameUtil {
+  static render(template, context) {
+    // Replace {token}s, sanitize the result into a valid ref name, and keep it within MAX_LENGTH
+    const unknown = (template.match(/\{[^}]*\}/g) || []).filter(token => !BranchNameUtil.TOKENS.includes(token.slice(1, -1)));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown token ${unknown.join(', ')} in branch template '${template}'. Available: ${BranchNameUtil.TOKENS.map(token => `{${token}}`).join(', ')}`);
+    }
+    if (!/\{(timestamp|random)\}/.test(template)) {
+      throw new Error(`Branch template '${template}' needs {timestamp} or {random}, so every deployment gets a new branch`);
+    }
+
+    const values = {};
+    BranchNameUtil.TOKENS.forEach(token => {
+      values[token] = BranchNameUtil.sanitize(context[token] ?? '');
+    });
+
+    // Shorten the free-text values (longest first) until the name fits; timestamp, SHA and random id stay intact
+    const build = () => BranchNameUtil.sanitize(template.replace(/\{(\w+)\}/g, (match, token) => values[token]));
+    let name = build();
+    while (name.length > BranchNameUtil.MAX_LENGTH) {
+      const longest = ['branch', 'project', 'user'].filter(token => template.includes(`{${token}}`))
+        .sort((a, b) => values[b].length - values[a].length)[0];
+      if (!longest || values[longest].length <= 8) {
+        name = BranchNameUtil.sanitize(name.slice(0, BranchNameUtil.MAX_LENGTH));
+        break;
+      }
+      values[longest] = BranchNameUtil.sanitize(values[longest].slice(0, values[longest].length - 1));
+      name = build();
+    }
+    return name;
+  }
+
+  static sanitize(value) {
+    // Safe as a git ref, a URL segment and a folder name: letters, digits, ".", "_" and "-" only,
+    // no "..", and no separators at either end
+    return String(value)
+      .replace(/[^a-zA-Z0-9._-]+/g, '-')
+      .replace(/\.{2,}/g, '.')
+      .replace(/-{2,}/g, '-')
+      .replace(/(\.lock)+$/i, '')
+      .replace(/^[-._]+|[-._]+$/g, '');
+  }
+
+  static cleanProjectName(name) {
+    // "@org/my app" -> "my-app": no npm scope, and only characters that are safe in branch names and folders
+    return String(name).replace(/^@[^/]+\//, '').replace(/[^a-zA-Z0-9-]/g, '-');
+  }
+
+  static createContext({ project, user, source, env = process.env, now = new Date() }) {
+    // source is GitUtil.getSourceInfo() of the project, or null outside a git repository
+    return {
+      project,
+      branch: source?.branch,
+      sha: source?.commit ? source.commit.slice(0, 7) : null,
+      pr: BranchNameUtil.getPullRequestNumber(env),
+      user,
+      timestamp: now.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-'),
+      random: crypto.randomBytes(3).toString('hex')
+    };
+  }
+
+  static getPullRequestNumber(env = process.env) {
+    // GitHub Actions (refs/pull/42/merge), GitLab, Buildkite, CircleCI, Travis, Azure Pipelines, Jenkins
+    const githubRef = (env.GITHUB_REF || '').match(/^refs\/pull\/(\d+)\//);
+    const circle = (env.CIRCLE_PULL_REQUEST || '').match(/\/(\d+)$/);
+    const candidates = [
+      githubRef?.[1],
+      env.CI_MERGE_REQUEST_IID,
+      env.BUILDKITE_PULL_REQUEST,
+      circle?.[1],
+      env.TRAVIS_PULL_REQUEST,
+      env.SYSTEM_PULLREQUEST_PULLREQUESTNUMBER,
+      env.CHANGE_ID
+    ];
+    return candidates.find(value => /^\d+$/.test(value || '')) || null;
+  }
+}
+
+BranchNameUtil.TOKENS = ['project', 'branch', 'sha', 'pr', 'user', 'timestamp', 'random'];
+BranchNameUtil.DEFAULT_TEMPLATE = '{project}-{timestamp}-{random}';
+
+// Keeps the deployment folder and URL readable; git itself allows much longer names
+BranchNameUtil.MAX_LENGTH = 80;
+
+module.exports = BranchNameUtil;
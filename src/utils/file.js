@@ -21,6 +21,29 @@ class FileUtil {
     });
   }
 
+  static listFiles(dir, prefix = '', exclude = null) {
+    // Relative paths of every file below dir, using '/' separators like git trees.
+    // exclude(relativePath) skips files and whole directories
+    const files = [];
+    
+    fs.readdirSync(dir).forEach(item => {
+      const itemPath = path.join(dir, item);
+      const relativePath = prefix ? `${prefix}/${item}` : item;
+      
+      if (exclude && exclude(relativePath)) {
+        return;
+      }
+      
+      if (fs.statSync(itemPath).isDirectory()) {
+        files.push(...FileUtil.listFiles(itemPath, relativePath, exclude));
+      } else {
+        files.push(relativePath);
+      }
+    });
+    
+    return files;
+  }
+
   static loadPackageJson(cwd) {
     try {
       return JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8'));
@@ -1,67 +1,140 @@
 const { execSync } = require('child_process');
+const ArgsUtil = require('./args');
+const PromptUtil = require('./prompt');
+const GitHubClient = require('../api/GitHubClient');
 
 class GitHubUtil {
-  static async checkGitHubCLI() {
+  static isGitHubCLIInstalled() {
     try {
       execSync('gh --version', { stdio: 'ignore' });
       return true;
     } catch (error) {
-      console.error('❌ GitHub CLI (gh) is required but not installed.');
-      console.log('📋 Install it from: https://cli.github.com/');
       return false;
     }
   }
 
-  static async checkAuthentication() {
-    try {
-      // Check if authenticated with any GitHub instance
-      const result = execSync('gh auth status', { encoding: 'utf8', stdio: 'pipe' });
-      
-      // Extract hostname from auth status - must be enterprise (not github.com)
-      const hostnameMatch = result.match(/Logged in to ([^\s]+)/);
-      if (!hostnameMatch) {
-        throw new Error('Could not determine GitHub hostname from authentication');
+  static async checkAuthentication(preferredHost, config = null) {
+    // GH_HOST is honoured the same way gh itself does
+    const requestedHost = ArgsUtil.getFlagValue('--host') || process.env.GHPD_HOST || process.env.GH_HOST;
+    
+    // An explicitly requested host must have a token available
+    if (requestedHost) {
+      if (!GitHubClient.resolveToken(requestedHost, config)) {
+        GitHubUtil.printAuthenticationHelp(requestedHost);
+        return null;
       }
+      return requestedHost;
+    }
+    
+    // Keep using the host from an existing configuration
+    if (preferredHost && GitHubClient.resolveToken(preferredHost, config)) {
+      return preferredHost;
+    }
+    
+    const hostnames = GitHubUtil.isGitHubCLIInstalled() ? GitHubUtil.getAuthenticatedHosts() : [];
+    
+    if (hostnames.length === 1) {
+      return hostnames[0];
+    }
+    
+    if (hostnames.length > 1) {
+      const hostname = await PromptUtil.resolveInput({
+        label: 'GitHub host',
+        question: `Logged in to several GitHub hosts: ${hostnames.join(', ')}\nWhich host should be used? (default: ${hostnames[0]}): `,
+        flag: '--host',
+        envVar: 'GHPD_HOST',
+        defaultValue: hostnames[0]
+      });
       
-      const hostname = hostnameMatch[1];
-      if (hostname === 'github.com') {
-        console.error('❌ This tool only works with GitHub Enterprise Server.');
-        console.log('🏢 Please authenticate with your GitHub Enterprise Server instance:');
-        console.log('   gh auth login --hostname your-enterprise-server.com');
+      if (!hostnames.includes(hostname)) {
+        console.error(`❌ Not authenticated with ${hostname}.`);
         return null;
       }
       
       return hostname;
-    } catch (error) {
-      console.error('❌ Not authenticated with GitHub Enterprise Server.');
-      console.log('🔑 Please authenticate with your GitHub Enterprise Server instance:');
+    }
+    
+    // No gh logins - a token in the environment without a host means github.com
+    if (GitHubClient.getEnvironmentToken('github.com')) {
+      return 'github.com';
+    }
+    
+    GitHubUtil.printAuthenticationHelp();
+    return null;
+  }
+
+  static printAuthenticationHelp(hostname = null) {
+    console.error(`❌ Not authenticated with ${hostname || 'GitHub'}.`);
+    console.log('🔑 Provide a token in GH_TOKEN (GH_ENTERPRISE_TOKEN for Enterprise Server) together with --host,');
+    console.log('   or authenticate with the GitHub CLI:');
+    console.log(`   gh auth login${hostname && hostname !== 'github.com' ? ` --hostname ${hostname}` : ''}`);
+    if (!hostname) {
       console.log('   gh auth login --hostname your-enterprise-server.com');
-      return null;
     }
   }
 
-  static getGitHubUsername(hostname) {
+  static getAuthenticatedHosts() {
+    let output;
+    try {
+      output = execSync('gh auth status', { encoding: 'utf8', stdio: 'pipe' });
+    } catch (error) {
+      // gh exits non-zero when any login is invalid, but still reports the valid ones
+      output = `${error.stdout || ''}\n${error.stderr || ''}`;
+    }
+    
+    const hostnames = [];
+    for (const match of output.matchAll(/Logged in to ([^\s]+)/g)) {
+      if (!hostnames.includes(match[1])) {
+        hostnames.push(match[1]);
+      }
+    }
+    return hostnames;
+  }
+
+  static isGitHubDotCom(hostname) {
+    return hostname === 'github.com';
+  }
+
+  static describeHost(hostname) {
+    return GitHubUtil.isGitHubDotCom(hostname) ? 'GitHub.com' : `GitHub Enterprise Server ${hostname}`;
+  }
+
+  static getPagesBaseUrl(hostname, owner, repoName) {
+    if (GitHubUtil.isGitHubDotCom(hostname)) {
+      // A repository named {owner}.github.io is served from the root of the user site
+      const userSite = `${owner.toLowerCase()}.github.io`;
+      return repoName.toLowerCase() === userSite ? `https://${userSite}` : `https://${userSite}/${repoName}`;
+    }
+    return `https://${hostname}/pages/${owner}/${repoName}`;
+  }
+
+  static getPagesBasePath(hostname, owner, repoName) {
+    // Path part of the Pages URL without the trailing slash: '' for user sites, /{repo}, or /pages/{owner}/{repo}
+    return new URL(GitHubUtil.getPagesBaseUrl(hostname, owner, repoName)).pathname.replace(/\/$/, '');
+  }
+
+  static async getGitHubUsername(hostname, config = null) {
     try {
-      const env = hostname ? { ...process.env, GH_HOST: hostname } : process.env;
-      const result = execSync('gh api user --jq .login', { encoding: 'utf8', env }).trim();
-      return result;
+      const user = await GitHubClient.forHost(hostname, config).request('GET', '/user');
+      return user.login;
     } catch (error) {
-      throw new Error('Could not get GitHub username. Make sure you are authenticated with GitHub CLI.');
+      throw new Error(`Could not get GitHub username: ${error.message}`);
     }
   }
 
-  static async checkRepoExists(hostname, username, repoName) {
+  static async checkRepoExists(hostname, owner, repoName, config = null) {
+    if (!hostname) {
+      throw new Error('No GitHub hostname configured');
+    }
+    
     try {
-      if (!hostname) {
-        throw new Error('No enterprise hostname configured');
-      }
-      
-      // Use GH_HOST environment variable for enterprise operations
-      const env = { ...process.env, GH_HOST: hostname };
-      execSync(`gh repo view ${username}/${repoName}`, { stdio: 'ignore', env });
+      await GitHubClient.forHost(hostname, config).request('GET', `/repos/${owner}/${repoName}`);
       return true;
     } catch (error) {
-      return false;
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
     }
   }
 }
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCKFILES = [
+  { file: 'pnpm-lock.yaml', name: 'pnpm' },
+  { file: 'yarn.lock', name: 'yarn' },
+  { file: 'bun.lockb', name: 'bun' },
+  { file: 'bun.lock', name: 'bun' },
+  { file: 'package-lock.json', name: 'npm' },
+  { file: 'npm-shrinkwrap.json', name: 'npm' }
+];
+
+class PackageManagerUtil {
+  static detect(cwd, rootDir = null, configuredName = null) {
+    // Search from the project up to the workspace root: in a monorepo the lockfile lives at the root
+    const dirs = [];
+    let dir = path.resolve(cwd);
+    const stopDir = path.resolve(rootDir || cwd);
+    while (true) {
+      dirs.push(dir);
+      const parent = path.dirname(dir);
+      if (dir === stopDir || parent === dir) break;
+      dir = parent;
+    }
+
+    if (configuredName) {
+      if (!PackageManagerUtil.SUPPORTED.includes(configuredName)) {
+        throw new Error(`Unknown package manager '${configuredName}'. Supported: ${PackageManagerUtil.SUPPORTED.join(', ')}`);
+      }
+      const lockfileDir = dirs.find(candidate => LOCKFILES.some(entry => entry.name === configuredName && fs.existsSync(path.join(candidate, entry.file))));
+      const managerDir = lockfileDir || stopDir;
+      const majorVersion = configuredName === 'yarn' && fs.existsSync(path.join(managerDir, '.yarnrc.yml')) ? 2 : null;
+      return { name: configuredName, majorVersion, source: 'configuration', dir: managerDir };
+    }
+
+    // The packageManager field (used by Corepack) is authoritative
+    for (const candidate of dirs) {
+      const field = PackageManagerUtil.readPackageManagerField(candidate);
+      const match = field && field.match(/^(npm|pnpm|yarn|bun)@(\d+)?/);
+      if (match) {
+        return { name: match[1], majorVersion: match[2] ? Number(match[2]) : null, source: `packageManager field in ${path.join(candidate, 'package.json')}`, dir: candidate };
+      }
+    }
+
+    for (const candidate of dirs) {
+      const lockfile = LOCKFILES.find(entry => fs.existsSync(path.join(candidate, entry.file)));
+      if (lockfile) {
+        // Yarn Berry (2+) is configured through .yarnrc.yml; Yarn 1 never uses it
+        const majorVersion = lockfile.name === 'yarn' && fs.existsSync(path.join(candidate, '.yarnrc.yml')) ? 2 : null;
+        return { name: lockfile.name, majorVersion, source: path.join(candidate, lockfile.file), dir: candidate };
+      }
+    }
+
+    return { name: 'npm', majorVersion: null, source: 'default', dir: path.resolve(cwd) };
+  }
+
+  static readPackageManagerField(dir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).packageManager || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static runScript(manager, script) {
+    return `${manager.name} run ${script}`;
+  }
+
+  static exec(manager, command) {
+    // Run a binary from node_modules/.bin, like npx
+    switch (manager.name) {
+      case 'pnpm':
+        return `pnpm exec ${command}`;
+      case 'yarn':
+        return `yarn ${command}`;
+      case 'bun':
+        return `bunx ${command}`;
+      default:
+        return `npx ${command}`;
+    }
+  }
+
+  static forwardArgs(manager, command, args) {
+    // npm needs "--" to pass arguments through to a script; the others forward them as-is
+    return manager.name === 'npm' ? `${command} -- ${args}` : `${command} ${args}`;
+  }
+
+  static getInstallCommand(manager) {
+    switch (manager.name) {
+      case 'pnpm':
+        return 'pnpm install --frozen-lockfile';
+      case 'yarn':
+        return manager.majorVersion >= 2 ? 'yarn install --immutable' : 'yarn install --frozen-lockfile';
+      case 'bun':
+        return 'bun install --frozen-lockfile';
+      default:
+        // npm ci refuses to run without a lockfile
+        return ['package-lock.json', 'npm-shrinkwrap.json'].some(file => fs.existsSync(path.join(manager.dir, file))) ? 'npm ci' : 'npm install';
+    }
+  }
+}
+
+PackageManagerUtil.SUPPORTED = ['npm', 'pnpm', 'yarn', 'bun'];
+
+module.exports = PackageManagerUtil;
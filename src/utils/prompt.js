@@ -1,4 +1,5 @@
 const readline = require('readline');
+const ArgsUtil = require('./args');
 
 class PromptUtil {
   static async promptUser(question, defaultValue = '') {
@@ -15,6 +16,82 @@ class PromptUtil {
       });
     });
   }
+
+  static isNonInteractive() {
+    return ArgsUtil.hasFlag('--non-interactive') || ArgsUtil.parseBoolean(process.env.GHPD_NON_INTERACTIVE) === true;
+  }
+
+  static assumeYes() {
+    return ArgsUtil.hasFlag('--yes') || ArgsUtil.hasFlag('-y') || ArgsUtil.parseBoolean(process.env.GHPD_YES) === true;
+  }
+
+  static async resolveInput({ label, question, flag, envVar, configuredValue, defaultValue = '' }) {
+    // A CLI flag wins over an environment variable, which wins over a value from the
+    // project config file, which wins over prompting
+    const provided = ArgsUtil.getFlagValue(flag) ?? process.env[envVar];
+    if (provided !== undefined && provided !== '') {
+      return provided;
+    }
+    
+    if (configuredValue !== undefined && configuredValue !== '') {
+      return String(configuredValue);
+    }
+    
+    if (PromptUtil.isNonInteractive()) {
+      if (!defaultValue) {
+        PromptUtil.missingInputs.push(`${label} (${flag} or ${envVar})`);
+      }
+      return defaultValue;
+    }
+    
+    if (PromptUtil.assumeYes()) {
+      return defaultValue;
+    }
+    
+    return PromptUtil.promptUser(question, defaultValue);
+  }
+
+  static async resolveBooleanInput({ question, flag, envVar, defaultValue = false }) {
+    // Settings toggles: "--flag" / "--no-flag" or the environment variable, otherwise the default
+    const provided = ArgsUtil.getBooleanFlag(flag) ?? ArgsUtil.parseBoolean(process.env[envVar]);
+    if (provided !== undefined) {
+      return provided;
+    }
+    
+    if (PromptUtil.isNonInteractive() || PromptUtil.assumeYes()) {
+      return defaultValue;
+    }
+    
+    const answer = await PromptUtil.promptUser(question, defaultValue ? 'Y' : 'N');
+    return answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes';
+  }
+
+  static async confirm(question, defaultValue = false) {
+    // Action confirmations: --yes answers yes, --non-interactive falls back to the default
+    if (PromptUtil.assumeYes()) {
+      return true;
+    }
+    
+    if (PromptUtil.isNonInteractive()) {
+      return defaultValue;
+    }
+    
+    const answer = await PromptUtil.promptUser(question, defaultValue ? 'Y' : 'N');
+    return answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes';
+  }
+
+  static assertNoMissingInputs() {
+    if (PromptUtil.missingInputs.length === 0) {
+      return;
+    }
+    
+    const missing = PromptUtil.missingInputs.map(input => `   - ${input}`).join('\n');
+    PromptUtil.missingInputs = [];
+    throw new Error(`Missing required input in non-interactive mode:\n${missing}`);
+  }
 }
 
+// Inputs that could not be resolved without prompting, reported together by assertNoMissingInputs
+PromptUtil.missingInputs = [];
+
 module.exports = PromptUtil;
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+class WorkspaceUtil {
+  static findWorkspaceRoot(cwd) {
+    // Walk up from cwd to the nearest package.json with "workspaces" or a pnpm-workspace.yaml
+    let dir = path.resolve(cwd);
+
+    while (true) {
+      if (WorkspaceUtil.getWorkspacePatterns(dir).length > 0) {
+        return dir;
+      }
+
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+
+  static getWorkspacePatterns(dir) {
+    const pnpmWorkspacePath = path.join(dir, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmWorkspacePath)) {
+      return WorkspaceUtil.parsePnpmWorkspace(fs.readFileSync(pnpmWorkspacePath, 'utf8'));
+    }
+
+    const packageJsonPath = path.join(dir, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+      try {
+        const workspaces = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).workspaces;
+        // npm/yarn accept either an array or { packages: [...] }
+        const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+        return Array.isArray(patterns) ? patterns : [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    return [];
+  }
+
+  static parsePnpmWorkspace(content) {
+    // Only the "packages:" list is needed, so a line-based read avoids a YAML dependency
+    const patterns = [];
+    let inPackages = false;
+
+    content.split(/\r?\n/).forEach(line => {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+        return;
+      }
+      if (inPackages) {
+        const item = line.match(/^\s*-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+        if (item) {
+          patterns.push(item[1]);
+        } else if (/^\S/.test(line)) {
+          inPackages = false;
+        }
+      }
+    });
+
+    return patterns;
+  }
+
+  static listPackages(root) {
+    const patterns = WorkspaceUtil.getWorkspacePatterns(root);
+    const excluded = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+    const dirs = new Set();
+
+    patterns.filter(pattern => !pattern.startsWith('!')).forEach(pattern => {
+      WorkspaceUtil.expandPattern(root, pattern.replace(/^\.\//, '').replace(/\/$/, '').split('/')).forEach(dir => dirs.add(dir));
+    });
+
+    return [...dirs]
+      .filter(dir => !excluded.some(pattern => WorkspaceUtil.matchesPattern(dir, pattern)))
+      .filter(dir => fs.existsSync(path.join(root, dir, 'package.json')))
+      .sort()
+      .map(dir => {
+        const packageJson = JSON.parse(fs.readFileSync(path.join(root, dir, 'package.json'), 'utf8'));
+        return { dir, name: packageJson.name || dir, hasBuildScript: Boolean(packageJson.scripts?.build) };
+      });
+  }
+
+  static expandPattern(root, segments, prefix = '') {
+    if (segments.length === 0) {
+      return prefix ? [prefix] : [];
+    }
+
+    const [segment, ...rest] = segments;
+    const baseDir = path.join(root, prefix);
+    if (!fs.existsSync(baseDir)) {
+      return [];
+    }
+
+    if (!segment.includes('*')) {
+      return WorkspaceUtil.expandPattern(root, rest, prefix ? `${prefix}/${segment}` : segment);
+    }
+
+    const subdirs = fs.readdirSync(baseDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+      .map(entry => entry.name);
+
+    if (segment === '**') {
+      // Zero or more directories
+      const results = WorkspaceUtil.expandPattern(root, rest, prefix);
+      subdirs.forEach(name => {
+        results.push(...WorkspaceUtil.expandPattern(root, segments, prefix ? `${prefix}/${name}` : name));
+      });
+      return results;
+    }
+
+    const regex = new RegExp(`^${segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+    return subdirs
+      .filter(name => regex.test(name))
+      .flatMap(name => WorkspaceUtil.expandPattern(root, rest, prefix ? `${prefix}/${name}` : name));
+  }
+
+  static matchesPattern(dir, pattern) {
+    const regex = pattern.replace(/^\.\//, '').replace(/\/$/, '')
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*/g, '\u0000')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\u0000/g, '.*');
+    return new RegExp(`^${regex}$`).test(dir);
+  }
+
+  static findPackage(root, selector) {
+    // Accept a directory relative to the root ("apps/web") or a package name ("@acme/web")
+    const packages = WorkspaceUtil.listPackages(root);
+    const normalized = selector.replace(/^\.\//, '').replace(/\/$/, '');
+    return packages.find(pkg => pkg.dir === normalized) ||
+      packages.find(pkg => pkg.name === selector) ||
+      packages.find(pkg => pkg.name.replace(/^@[^/]+\//, '') === selector) ||
+      null;
+  }
+}
+
+module.exports = WorkspaceUtil;
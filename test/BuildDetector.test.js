@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BuildDetector = require('../src/build/BuildDetector');
+
+function detect(packageJson, files, overrides = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'ghpd-detect-'));
+  try {
+    fs.mkdirSync(path.join(cwd, '.storybook'));
+    fs.writeFileSync(path.join(cwd, 'package.json'), JSON.stringify(packageJson));
+    files.forEach(file => fs.writeFileSync(path.join(cwd, file), ''));
+    return new BuildDetector(cwd, packageJson).detectBuildConfig(overrides);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+const app = { name: 'app', scripts: { build: 'vite build', 'build-storybook': 'storybook build' }, devDependencies: { vite: '^5.0.0' } };
+const library = { name: 'ui', scripts: { 'build-storybook': 'storybook build' } };
+
+test('storybook: an app with .storybook/ next to it still deploys the app', () => {
+  assert.strictEqual(detect(app, ['vite.config.js']).framework, 'vite');
+});
+
+test('storybook: --storybook deploys the Storybook of an app', () => {
+  const config = detect(app, ['vite.config.js'], { storybook: true });
+  assert.strictEqual(config.framework, 'storybook');
+  assert.strictEqual(config.outputDir, 'storybook-static');
+});
+
+test('storybook: selected automatically when there is no app to deploy', () => {
+  assert.strictEqual(detect(library, []).framework, 'storybook');
+  assert.strictEqual(detect(library, [], { storybook: false }).framework, 'generic');
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const CleanupManager = require('../src/cleanup/CleanupManager');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 31);
+
+function deployment(branch, daysAgo, deployedBy, extra = {}) {
+  return { branch, project: 'app', deployedAt: new Date(NOW - daysAgo * DAY), deployedBy, served: false, ...extra };
+}
+
+function plan(deployments, policy, options = {}) {
+  const manager = new CleanupManager({ owner: 'team' }, { policy: { maxAge: null, maxAgeLabel: null, keep: 0, pinned: [], ...policy }, ...options });
+  return Object.fromEntries(manager.planCleanup(deployments, 'me', NOW).map(entry => [entry.branch, entry.delete]));
+}
+
+test('keep: colleagues, pinned and served deployments do not use up keep slots', () => {
+  const result = plan([
+    deployment('colleague-new', 1, 'alice'),
+    deployment('pinned', 2, 'me'),
+    deployment('served', 3, 'me', { served: true }),
+    deployment('mine-1', 4, 'me'),
+    deployment('colleague-old', 5, 'bob'),
+    deployment('mine-2', 6, 'me'),
+    deployment('mine-3', 7, 'me')
+  ], { keep: 2, pinned: ['pinned'] });
+  
+  assert.deepStrictEqual(result, {
+    'colleague-new': false,
+    pinned: false,
+    served: false,
+    'mine-1': false,
+    'colleague-old': false,
+    'mine-2': false,
+    'mine-3': true
+  });
+});
+
+test('keep: with --all-users every unprotected deployment counts', () => {
+  const result = plan([
+    deployment('colleague-new', 1, 'alice'),
+    deployment('mine-1', 2, 'me'),
+    deployment('mine-2', 3, 'me')
+  ], { keep: 2 }, { allUsers: true });
+  
+  assert.deepStrictEqual(result, { 'colleague-new': false, 'mine-1': false, 'mine-2': true });
+});
+
+test('max age: deletes only your own deployments older than the limit', () => {
+  const result = plan([
+    deployment('mine-new', 1, 'me'),
+    deployment('mine-old', 10, 'ME'),
+    deployment('colleague-old', 10, 'alice')
+  ], { maxAge: 7 * DAY, maxAgeLabel: '7d' });
+  
+  assert.deepStrictEqual(result, { 'mine-new': false, 'mine-old': true, 'colleague-old': false });
+});
+
+test('folders: subdirectory mode folders follow the rules although Pages serves their publishing branch', () => {
+  const result = plan([
+    deployment('served-branch', 30, 'me', { served: true }),
+    deployment('old-folder', 30, 'me', { served: true, path: 'app/old-folder', publishBranch: 'gh-pages' }),
+    deployment('new-folder', 1, 'me', { served: true, path: 'app/new-folder', publishBranch: 'gh-pages' }),
+    deployment('pinned-folder', 30, 'me', { served: true, path: 'app/pinned-folder', publishBranch: 'gh-pages' })
+  ], { maxAge: 7 * DAY, maxAgeLabel: '7d', pinned: ['pinned-folder'] });
+  
+  assert.deepStrictEqual(result, { 'served-branch': false, 'old-folder': true, 'new-folder': false, 'pinned-folder': false });
+});
+
+test('folders: cleanup removes old folders from the publishing branch in one commit', async () => {
+  const encode = value => ({ content: Buffer.from(JSON.stringify(value)).toString('base64'), encoding: 'base64' });
+  const folders = {
+    'app/app-20250101-1200-aaaaaa': { project: 'app', branch: 'app-20250101-1200-aaaaaa', deployedBy: 'me', deployedAt: '2025-01-01T12:00:00Z' },
+    'app/app-20250102-1200-bbbbbb': { project: 'app', branch: 'app-20250102-1200-bbbbbb', deployedBy: 'me', deployedAt: '2025-01-02T12:00:00Z' },
+    'app/app-new': { project: 'app', branch: 'app-new', deployedBy: 'me', deployedAt: new Date().toISOString() }
+  };
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = decodeURIComponent(req.url.split('?')[0]);
+      requests.push({ method: req.method, url, body: body ? JSON.parse(body) : null });
+      const routes = {
+        'GET /repos/me/previews/branches': () => [{ name: 'main', commit: { sha: 'main' } }, { name: 'gh-pages', commit: { sha: 'head' } }],
+        'GET /repos/me/previews/pages': () => ({ source: { branch: 'gh-pages', path: '/' } }),
+        'GET /repos/me/previews/git/trees/gh-pages': () => ({ tree: Object.keys(folders).map(folder => ({ path: `${folder}/deploy-info.json`, type: 'blob', sha: folder })) }),
+        'GET /repos/me/previews/git/ref/heads/gh-pages': () => ({ object: { sha: 'head' } }),
+        'GET /repos/me/previews/git/commits/head': () => ({ sha: 'head', tree: { sha: 'head-tree' } }),
+        'POST /repos/me/previews/git/trees': () => ({ sha: 'new-tree' }),
+        'POST /repos/me/previews/git/commits': () => ({ sha: 'new-commit' }),
+        'PATCH /repos/me/previews/git/refs/heads/gh-pages': () => ({})
+      };
+      const blob = url.match(/\/git\/blobs\/(.+)$/);
+      const route = blob ? () => encode(folders[blob[1]]) : routes[`${req.method} ${url}`];
+      res.writeHead(route ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(route ? route() : { message: 'Not Found' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  
+  const saved = { GHPD_API_URL: process.env.GHPD_API_URL, GH_TOKEN: process.env.GH_TOKEN, GHPD_TRANSPORT: process.env.GHPD_TRANSPORT };
+  Object.assign(process.env, { GHPD_API_URL: `http://localhost:${server.address().port}`, GH_TOKEN: 'test-token', GHPD_TRANSPORT: 'api' });
+  const log = console.log;
+  console.log = () => {};
+  
+  try {
+    const config = { hostname: 'github.com', owner: 'me', repository: 'previews', username: 'me' };
+    const manager = new CleanupManager(config, { policy: { maxAge: 7 * DAY, maxAgeLabel: '7d', keep: 0, pinned: [] } });
+    await manager.cleanupOldBranches(true);
+  } finally {
+    console.log = log;
+    Object.keys(saved).forEach(key => {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    });
+    server.close();
+  }
+  
+  const tree = requests.find(request => request.method === 'POST' && request.url.endsWith('/git/trees'));
+  assert.deepStrictEqual(tree.body, {
+    base_tree: 'head-tree',
+    tree: [
+      { path: 'app/app-20250102-1200-bbbbbb', mode: '040000', type: 'tree', sha: null },
+      { path: 'app/app-20250101-1200-aaaaaa', mode: '040000', type: 'tree', sha: null }
+    ]
+  });
+  assert.ok(requests.some(request => request.method === 'PATCH' && request.body.sha === 'new-commit'));
+  assert.ok(!requests.some(request => request.method === 'DELETE'));
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ConfigManager = require('../src/config/ConfigManager');
+
+function withProject({ userConfig, projectConfig, argv = [], env = {} }, fn) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ghpd-home-'));
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'ghpd-project-'));
+  const saved = { argv: process.argv, home: process.env.HOME, env: {} };
+  
+  if (userConfig) {
+    fs.writeFileSync(path.join(home, '.ghd-config.json'), JSON.stringify(userConfig));
+  }
+  if (projectConfig) {
+    fs.writeFileSync(path.join(cwd, ConfigManager.PROJECT_CONFIG_FILE), JSON.stringify(projectConfig));
+  }
+  
+  process.argv = ['node', 'ghpd', ...argv];
+  process.env.HOME = home;
+  Object.keys(env).forEach(key => {
+    saved.env[key] = process.env[key];
+    process.env[key] = env[key];
+  });
+  
+  try {
+    return fn(new ConfigManager(cwd), cwd);
+  } finally {
+    process.argv = saved.argv;
+    process.env.HOME = saved.home;
+    Object.keys(saved.env).forEach(key => {
+      if (saved.env[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved.env[key];
+      }
+    });
+    fs.rmSync(home, { recursive: true, force: true });
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+test('project name: --project wins over the project config file', () => {
+  withProject({ projectConfig: { projectName: 'shared' }, argv: ['--project', 'mine'] }, (configManager, cwd) => {
+    assert.strictEqual(configManager.getProjectName(cwd), 'mine');
+  });
+});
+
+test('project name: GHPD_PROJECT wins over the project config file', () => {
+  withProject({ projectConfig: { projectName: 'shared' }, env: { GHPD_PROJECT: 'from-env' } }, (configManager, cwd) => {
+    assert.strictEqual(configManager.getProjectName(cwd), 'from-env');
+  });
+});
+
+test('project name: the project config file wins over the per-directory name', () => {
+  withProject({ projectConfig: { projectName: 'shared' } }, (configManager, cwd) => {
+    configManager.config = { projectNames: { [path.resolve(cwd)]: 'local' } };
+    assert.strictEqual(configManager.getProjectName(cwd), 'shared');
+  });
+});
+
+test('auto-cleanup: --no-auto-cleanup disables it although the configs enable it', () => {
+  withProject({ userConfig: { username: 'me', autoCleanup: true }, projectConfig: { autoCleanup: true }, argv: ['--no-auto-cleanup'] }, (configManager, cwd) => {
+    assert.strictEqual(configManager.isAutoCleanupEnabled(cwd), false);
+  });
+});
+
+test('auto-cleanup: GHPD_AUTO_CLEANUP overrides the configs', () => {
+  withProject({ userConfig: { username: 'me', autoCleanup: true }, env: { GHPD_AUTO_CLEANUP: 'false' } }, (configManager, cwd) => {
+    assert.strictEqual(configManager.isAutoCleanupEnabled(cwd), false);
+  });
+  withProject({ userConfig: { username: 'me', autoCleanup: false }, env: { GHPD_AUTO_CLEANUP: '1' } }, (configManager, cwd) => {
+    assert.strictEqual(configManager.isAutoCleanupEnabled(cwd), true);
+  });
+});
+
+test('auto-cleanup: falls back to the project and user config', () => {
+  withProject({ userConfig: { username: 'me', autoCleanup: true }, projectConfig: { autoCleanup: false } }, (configManager, cwd) => {
+    assert.strictEqual(configManager.isAutoCleanupEnabled(cwd), false);
+  });
+  withProject({ userConfig: { username: 'me', autoCleanup: true } }, (configManager, cwd) => {
+    assert.strictEqual(configManager.isAutoCleanupEnabled(cwd), true);
+  });
+});
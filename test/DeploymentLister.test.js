@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const DeploymentLister = require('../src/list/DeploymentLister');
+
+const lister = new DeploymentLister({ owner: 'me', repository: 'previews' });
+
+test('describe: groups scoped package names and legacy branches under the clean project name', () => {
+  const scoped = lister.describe({ branch: 'app-20260101-1200-abcdef', path: null, info: { project: '@org/app', deployedAt: '2026-01-01T12:00:00Z' }, size: 0, served: false });
+  const recorded = lister.describe({ branch: 'preview-123', path: null, info: { project: 'app', deployedAt: '2026-01-02T12:00:00Z' }, size: 0, served: false });
+  const legacy = lister.describe({ branch: 'app-20251231-0900-123abc', path: null, info: null, size: 0, served: false });
+  
+  assert.deepStrictEqual([scoped.project, recorded.project, legacy.project], ['app', 'app', 'app']);
+});
+
+test('filter: --project matches the clean name, also when given as a scoped package name', () => {
+  const deployments = [
+    lister.describe({ branch: 'app-20260101-1200-abcdef', path: null, info: { project: '@org/app' }, size: 0, served: false }),
+    lister.describe({ branch: 'docs-20260101-1200-abcdef', path: null, info: { project: 'docs' }, size: 0, served: false })
+  ];
+  
+  assert.deepStrictEqual(DeploymentLister.filter(deployments, { project: '@org/app' }).map(deployment => deployment.branch), ['app-20260101-1200-abcdef']);
+  assert.deepStrictEqual(DeploymentLister.filter(deployments, { project: 'APP' }).map(deployment => deployment.branch), ['app-20260101-1200-abcdef']);
+});
+
+test('filter: --mine matches deployedBy case-insensitively, like cleanup', () => {
+  const deployments = [
+    lister.describe({ branch: 'app-20260101-1200-abcdef', path: null, info: { project: 'app', deployedBy: 'Octocat' }, size: 0, served: false }),
+    lister.describe({ branch: 'app-20260102-1200-abcdef', path: null, info: { project: 'app', deployedBy: 'someone-else' }, size: 0, served: false }),
+    lister.describe({ branch: 'app-20260103-1200-abcdef', path: null, info: null, size: 0, served: false })
+  ];
+  
+  assert.deepStrictEqual(DeploymentLister.filter(deployments, { mine: 'octocat' }).map(deployment => deployment.branch), ['app-20260101-1200-abcdef']);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const GitDeployer = require('../src/deploy/GitDeployer');
+const FileUtil = require('../src/utils/file');
+
+function stage({ subdirectoryMode }) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghpd-output-'));
+  fs.writeFileSync(path.join(outputDir, 'index.html'), '<html><head></head><body><div id="root"></div></body></html>');
+  
+  const config = { hostname: 'github.com', owner: 'me', repository: 'previews' };
+  const deployer = new GitDeployer(config, { name: 'app' }, outputDir, 'app-20260101-1200-abcdef', { framework: 'vite' }, false, {
+    subdirectoryMode,
+    deployPath: subdirectoryMode ? 'app/app-20260101-1200-abcdef' : '',
+    spaMode: true
+  });
+  deployer.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghpd-stage-'));
+  deployer.deployDir = subdirectoryMode ? path.join(deployer.tempDir, 'app/app-20260101-1200-abcdef') : deployer.tempDir;
+  fs.mkdirSync(deployer.deployDir, { recursive: true });
+  // The SPA steps of staging the output, without the rest of the deployment
+  FileUtil.copyDirectory(outputDir, deployer.deployDir);
+  deployer.addSpaFallback();
+  if (subdirectoryMode) {
+    deployer.addNotFoundRouter();
+  }
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  return deployer;
+}
+
+function runRouter(html, pathname) {
+  // Runs the root 404.html's script and reports which file it fetches, or that it shows its own 404
+  const script = html.match(/<script>([\s\S]*?)<\/script>/)[1];
+  const result = { requested: null, shown: false };
+  const document = { body: { style: {} }, addEventListener() {} };
+  function XMLHttpRequest() {}
+  XMLHttpRequest.prototype.open = function (method, url) { result.requested = url; };
+  XMLHttpRequest.prototype.send = function () {};
+  vm.runInNewContext(script, { window: { location: { pathname } }, document, XMLHttpRequest });
+  result.shown = document.body.style.display === '';
+  return result;
+}
+
+test('spa fallback: a branch deployment gets the redirecting 404.html at its root', () => {
+  const deployer = stage({ subdirectoryMode: false });
+  try {
+    assert.match(fs.readFileSync(path.join(deployer.tempDir, '404.html'), 'utf8'), /var segmentsToKeep = 1;/);
+  } finally {
+    deployer.cleanup();
+  }
+});
+
+test('spa fallback: in subdirectory mode it stays in the deployment folder and the root only routes to it', () => {
+  const deployer = stage({ subdirectoryMode: true });
+  try {
+    assert.match(fs.readFileSync(path.join(deployer.deployDir, '404.html'), 'utf8'), /var segmentsToKeep = 3;/);
+    
+    const router = fs.readFileSync(path.join(deployer.tempDir, '404.html'), 'utf8');
+    assert.doesNotMatch(router, /segmentsToKeep/);
+    assert.deepStrictEqual(runRouter(router, '/previews/app/app-20260101-1200-abcdef/some/route'),
+      { requested: '/previews/app/app-20260101-1200-abcdef/404.html', shown: false });
+    assert.deepStrictEqual(runRouter(router, '/previews/docs/docs-20260101-1200-123456/missing.html'),
+      { requested: '/previews/docs/docs-20260101-1200-123456/404.html', shown: false });
+    assert.deepStrictEqual(runRouter(router, '/previews/unknown'), { requested: null, shown: true });
+  } finally {
+    deployer.cleanup();
+  }
+});
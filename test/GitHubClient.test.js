@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const GitHubClient = require('../src/api/GitHubClient');
+
+const TOKEN_VARIABLES = ['GH_TOKEN', 'GITHUB_TOKEN', 'GH_ENTERPRISE_TOKEN', 'GITHUB_ENTERPRISE_TOKEN'];
+
+function withEnv(values, fn) {
+  const saved = {};
+  TOKEN_VARIABLES.forEach(key => {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  });
+  Object.assign(process.env, values);
+  
+  try {
+    return fn();
+  } finally {
+    TOKEN_VARIABLES.forEach(key => {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    });
+  }
+}
+
+test('environment token: github.com uses GH_TOKEN / GITHUB_TOKEN', () => {
+  withEnv({ GITHUB_TOKEN: 'dotcom', GH_ENTERPRISE_TOKEN: 'enterprise' }, () => {
+    assert.strictEqual(GitHubClient.getEnvironmentToken('github.com'), 'dotcom');
+  });
+});
+
+test('environment token: Enterprise Server uses only the enterprise variables', () => {
+  withEnv({ GH_TOKEN: 'dotcom', GITHUB_ENTERPRISE_TOKEN: 'enterprise' }, () => {
+    assert.strictEqual(GitHubClient.getEnvironmentToken('ghe.example.com'), 'enterprise');
+  });
+  withEnv({ GH_TOKEN: 'dotcom', GITHUB_TOKEN: 'dotcom' }, () => {
+    assert.strictEqual(GitHubClient.getEnvironmentToken('ghe.example.com'), null);
+  });
+});
+
+test('resolve token: an Enterprise host falls through to the config token instead of GH_TOKEN', () => {
+  withEnv({ GH_TOKEN: 'dotcom' }, () => {
+    const config = { hostname: 'ghe.example.com', token: 'from-config' };
+    assert.strictEqual(GitHubClient.resolveToken('ghe.example.com', config), 'from-config');
+  });
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const PathRewriter = require('../src/deploy/PathRewriter');
+
+const rewriter = new PathRewriter('/previews');
+
+test('html: prefixes root-relative attributes and inline styles', () => {
+  const counter = { count: 0 };
+  const html = '<link href="/app.css"><img src="/logo.png" srcset="/logo.png 1x, /logo@2x.png 2x"><div style="background: url(/bg.png)"></div><a href="https://example.com/">x</a>';
+  
+  assert.strictEqual(rewriter.rewriteHtml(html, counter),
+    '<link href="/previews/app.css"><img src="/previews/logo.png" srcset="/previews/logo.png 1x, /previews/logo@2x.png 2x"><div style="background: url(/previews/bg.png)"></div><a href="https://example.com/">x</a>');
+  assert.strictEqual(counter.count, 4);
+});
+
+test('html: leaves inline script bodies alone but rewrites the script tag itself', () => {
+  const counter = { count: 0 };
+  const html = [
+    '<script src="/main.js"></script>',
+    '<script>',
+    '  fetch("/api/users");',
+    '  const link = \'<a href="/about">About</a>\';',
+    '  document.body.style.background = "url(/bg.png)";',
+    '</script>',
+    '<a href="/about">About</a>'
+  ].join('\n');
+  
+  const rewritten = rewriter.rewriteHtml(html, counter);
+  assert.ok(rewritten.includes('<script src="/previews/main.js"></script>'));
+  assert.ok(rewritten.includes('fetch("/api/users");'));
+  assert.ok(rewritten.includes('\'<a href="/about">About</a>\''));
+  assert.ok(rewritten.includes('"url(/bg.png)"'));
+  assert.ok(rewritten.endsWith('<a href="/previews/about">About</a>'));
+  assert.strictEqual(counter.count, 2);
+});
+
+test('url: leaves relative, external and already-prefixed URLs alone', () => {
+  ['page.html', '//cdn.example.com/x.js', 'https://example.com/', '/previews', '/previews/app.js', '#top'].forEach(url => {
+    assert.strictEqual(rewriter.rewriteUrl(url), url);
+  });
+  assert.strictEqual(rewriter.rewriteUrl('/previewsfoo'), '/previews/previewsfoo');
+});